@@ -0,0 +1,74 @@
+"use strict";
+
+import { meanSeaLevel } from "egm96-universal";
+
+/*
+ * How we turn the altitude of a fix into a height above the WGS84
+ * ellipsoid, which is what Cesium and its terrain use:
+ *
+ * gps: GPS altitude above mean sea level, corrected with the EGM96 geoid
+ * ellipsoid: GPS altitude that is already relative to the ellipsoid
+ * pressure: pressure altitude, calibrated against the terrain at takeoff
+ * blend: the average of the gps and pressure altitudes
+ */
+export const ALTITUDE_MODES = [ "gps", "ellipsoid", "pressure", "blend" ];
+
+export const DEFAULT_ALTITUDE = "gps";
+
+/* The height in meters of the EGM96 geoid above the WGS84 ellipsoid */
+export function geoidHeight(latitude, longitude) {
+    return meanSeaLevel(latitude, longitude);
+}
+
+/* Whether the mode needs the terrain height at takeoff to calibrate */
+export function needsCalibration(mode) {
+    return mode == "pressure" || mode == "blend";
+}
+
+/* Check the mode, and return the default for invalid or empty ones */
+export function validAltitudeMode(mode) {
+    if (ALTITUDE_MODES.includes(mode))
+        return mode;
+    return DEFAULT_ALTITUDE;
+}
+
+/*
+ * Returns a function that computes the ellipsoid height of a fix
+ * according to the mode. For the pressure based modes the calibration
+ * is { index, terrain } with the takeoff fix index and the ellipsoid
+ * height of the terrain there. Without a calibration, or without
+ * pressure altitude in the fixes, we fall back to the gps mode.
+ */
+export function altitudeModel(mode, fixes, calibration) {
+    mode = validAltitudeMode(mode);
+
+    function gps(fix) {
+        const altitude = typeof fix.gpsAltitude == "number" ? fix.gpsAltitude : fix.pressureAltitude || 0;
+        if (mode == "ellipsoid")
+            return altitude;
+        return altitude + geoidHeight(fix.latitude, fix.longitude);
+    }
+
+    if (!needsCalibration(mode) || !calibration)
+        return gps;
+
+    const takeoff = fixes[calibration.index];
+    if (!takeoff || typeof takeoff.pressureAltitude != "number")
+        return gps;
+
+    /* Pressure altitude drifts with the weather, so line it up with the ground */
+    const offset = calibration.terrain - takeoff.pressureAltitude;
+
+    function pressure(fix) {
+        if (typeof fix.pressureAltitude != "number")
+            return gps(fix);
+        return fix.pressureAltitude + offset;
+    }
+
+    if (mode == "pressure")
+        return pressure;
+
+    return function blend(fix) {
+        return (gps(fix) + pressure(fix)) / 2;
+    };
+}
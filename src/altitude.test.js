@@ -0,0 +1,67 @@
+import { expect, test } from 'vitest';
+
+import * as altitude from './altitude';
+
+const fixes = [
+    { latitude: 46.5, longitude: 7.5, gpsAltitude: 1000, pressureAltitude: 950 },
+    { latitude: 46.5, longitude: 7.6, gpsAltitude: 1500, pressureAltitude: 1480 },
+    { latitude: 46.5, longitude: 7.7, gpsAltitude: 1200, pressureAltitude: null },
+];
+
+test('geoidHeight', function() {
+    /* The geoid in the Alps is around 50m above the ellipsoid */
+    expect(altitude.geoidHeight(46.5, 7.5)).toBeGreaterThan(45);
+    expect(altitude.geoidHeight(46.5, 7.5)).toBeLessThan(55);
+
+    /* And well below it south of India */
+    expect(altitude.geoidHeight(5, 80)).toBeLessThan(-80);
+});
+
+test('validAltitudeMode', function() {
+    expect(altitude.validAltitudeMode("pressure")).toBe("pressure");
+    expect(altitude.validAltitudeMode("blend")).toBe("blend");
+    expect(altitude.validAltitudeMode("bad")).toBe(altitude.DEFAULT_ALTITUDE);
+    expect(altitude.validAltitudeMode(undefined)).toBe(altitude.DEFAULT_ALTITUDE);
+});
+
+test('needsCalibration', function() {
+    expect(altitude.needsCalibration("gps")).toBe(false);
+    expect(altitude.needsCalibration("ellipsoid")).toBe(false);
+    expect(altitude.needsCalibration("pressure")).toBe(true);
+    expect(altitude.needsCalibration("blend")).toBe(true);
+});
+
+test('altitudeModel.gps', function() {
+    const geoid = altitude.geoidHeight(46.5, 7.5);
+    const model = altitude.altitudeModel("gps", fixes);
+    expect(model(fixes[0])).toBeCloseTo(1000 + geoid);
+
+    const ellipsoid = altitude.altitudeModel("ellipsoid", fixes);
+    expect(ellipsoid(fixes[0])).toBe(1000);
+
+    /* Invalid modes are the default */
+    expect(altitude.altitudeModel("bad", fixes)(fixes[0])).toBeCloseTo(1000 + geoid);
+});
+
+test('altitudeModel.pressure', function() {
+    const calibration = { index: 0, terrain: 1020 };
+    const model = altitude.altitudeModel("pressure", fixes, calibration);
+
+    /* Calibrated to the terrain at takeoff */
+    expect(model(fixes[0])).toBe(1020);
+    expect(model(fixes[1])).toBe(1550);
+
+    /* Falls back to gps without pressure altitude */
+    const gps = altitude.altitudeModel("gps", fixes);
+    expect(model(fixes[2])).toBe(gps(fixes[2]));
+
+    /* And falls back to gps without a calibration */
+    expect(altitude.altitudeModel("pressure", fixes)(fixes[1])).toBe(gps(fixes[1]));
+});
+
+test('altitudeModel.blend', function() {
+    const calibration = { index: 0, terrain: 1020 };
+    const model = altitude.altitudeModel("blend", fixes, calibration);
+    const gps = altitude.altitudeModel("gps", fixes);
+    expect(model(fixes[1])).toBeCloseTo((gps(fixes[1]) + 1550) / 2);
+});
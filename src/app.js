@@ -3,15 +3,30 @@
 // TODO: Eventually remove this and do individual imports
 import * as Cesium from "cesium";
 
-import IGCParser from "./igc-parser.js";
 import {
     DisplayOptions,
     SkipGapsButton,
     HighResolutionButton,
+    PictureInPictureButton,
+    VarioColorsButton,
 } from "./displayoptions.js";
 import { problem, assert, failure, warning, message } from './util.js';
-import { parseTimestamp, parseTimezone, parseDuration } from './util.js';
+import { parseTimestamp, parseTimezone, parseDuration, retimeFlight } from './util.js';
 import { guessMimeType } from './util.js';
+import { computeStatistics, fixAltitude } from './flightstats.js';
+import { varioColor, varioGradient, varioSpan } from './vario.js';
+import { ALTITUDE_MODES, geoidHeight, needsCalibration } from './altitude.js';
+import { toCzml, toKml } from './export.js';
+import { createZip, createZipBlob, readZip } from './zip.js';
+import { taskProgress, taskReached, taskTurnpoints } from './task.js';
+import { WorkerPool } from './workerpool.js';
+import { DETAIL_TOLERANCES } from './simplify.js';
+import { TimelineOverlay } from './timeline.js';
+import { History } from './history.js';
+import { PilotRegistry } from './pilots.js';
+import { ColorAllocator } from './colors.js';
+import { mediaInfo } from './media.js';
+import { alignTelemetry, mp4Telemetry, telemetryLog } from './gpmf.js';
 
 import "cesium/Build/Cesium/Widgets/widgets.css";
 import "./style.css";
@@ -25,6 +40,36 @@ const DEFAULT_DURATION = 5;
 /* Seconds to jump when seeking */
 const JUMP_SECONDS = 10;
 
+/* Radius of the thermal columns in meters */
+const THERMAL_RADIUS = 60;
+
+/* Camera distance in meters beyond which thermal labels are hidden */
+const THERMAL_LABEL_DISTANCE = 20000;
+
+/* Pixels that a simplified flight path may be off by */
+const DETAIL_PIXELS = 1;
+
+/* Level of detail used for the vario coloured track, see simplify.js */
+const VARIO_DETAIL = 1;
+
+/* Color of the timeline band over suspect flight logs */
+const WARNING_COLOR = "#ff4500";
+
+/* Smallest width and height in pixels of the picture in picture inset */
+const PIP_MINIMUM = [ 160, 90 ];
+
+/* Milliseconds between updates of the altitudes in the pilot legend */
+const LEGEND_INTERVAL = 250;
+
+/* Milliseconds a notice is shown for, see notice() */
+const NOTICE_TIME = 6000;
+
+/* Number of integrity problems listed for a flight */
+const INTEGRITY_LIST = 5;
+
+/* Turnpoint labels along the scored XC route */
+const SCORING_NAMES = [ "Start", "TP1", "TP2", "TP3", "Finish" ];
+
 /* Default camera offset to track from */
 const DEFAULT_VIEW = new Cesium.Cartesian3(50, -500, 2000);
 
@@ -52,6 +97,12 @@ class State extends DisplayOptions {
         /* Trailing time for drawing flights */
         this.trailing = null;
 
+        /* Show the whole log of flights, not just the airborne part */
+        this.fullLog = false;
+
+        /* The default altitude mode for flights, see altitude.js */
+        this.altitude = null;
+
         /* Sub-folder currently being used */
         this.folder = null;
 
@@ -59,15 +110,26 @@ class State extends DisplayOptions {
         this.pilot = null;
         this.any = null;
 
-        /* Loaded from the client */
+        /* The pilot shown alone, see Pilot.visible() */
+        this.solo = null;
+
+        /* Clock offsets of cameras by name from the timeline.json */
+        this.cameras = { };
+
+        /* Names, colors and aliases of pilots from the timeline.json, see pilots.js */
+        this.registry = new PilotRegistry();
+
+        /* Loaded from the client, and the files for reading parts of them */
         this.blobs = { };
+        this.files = { };
     }
 };
 
 /* Share these in our console for Javascript debugging */
 const state = window.state = new State();
+const terrain = Cesium.Terrain.fromWorldTerrain();
 const viewer = window.viewer = new Cesium.Viewer('cesiumContainer', {
-    terrain: Cesium.Terrain.fromWorldTerrain(),
+    terrain: terrain,
     // TODO: Figure out why this works
     baseLayer: Cesium.ImageryLayer.fromProviderAsync( Cesium.ArcGisMapServerImageryProvider.fromUrl('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer', { })),
     // baseLayer: state.imageProvider,
@@ -78,14 +140,118 @@ const viewer = window.viewer = new Cesium.Viewer('cesiumContainer', {
     baseLayerPicker: false,
 });
 
+/* Flight and video ranges on the timeline, which can be dragged to retime them */
+const timelineOverlay = new TimelineOverlay(viewer.timeline, viewer.clock);
+
+/* Edits to the timeline that can be undone, see editCommand() */
+const timelineHistory = new History();
+
+/* The types of flight log that flight-worker.js can parse */
+const FLIGHT_TYPES = [ "application/x-igc", "application/gpx+xml" ];
+
+/* The types of video that may have GoPro telemetry, see gpmf.js */
+const TELEMETRY_TYPES = [ "video/mp4", "video/quicktime" ];
+
+/* Seconds that a video's GPS clock, or its camera clock without one, may be off from a flight log */
+const ALIGN_RANGE = 120;
+const CLOCK_RANGE = 6 * 3600;
+
+/* Mean distance in meters between a video's GPS and a flight log for them to line up */
+const ALIGN_DISTANCE = 200;
+
+/* Resolves to the terrain provider once it has loaded */
+const terrainReady = new Promise(function(resolve, reject) {
+    terrain.readyEvent.addEventListener(resolve);
+    terrain.errorEvent.addEventListener(reject);
+});
+
+/* The ellipsoid height of the terrain at a location, or null if unavailable */
+async function terrainHeight(latitude, longitude) {
+    try {
+        const provider = await terrainReady;
+        const positions = [ Cesium.Cartographic.fromDegrees(longitude, latitude) ];
+        const results = await Cesium.sampleTerrainMostDetailed(provider, positions);
+        return results[0].height;
+    } catch (ex) {
+        warning("Couldn't find terrain height for altitude calibration", ex);
+        return null;
+    }
+}
+
+/* Colors of pilots, the same for each of them every time, see colors.js */
+const pilotColors = new ColorAllocator();
+
+/* Workers that parse and prepare flight logs, leaving a core for the page */
+const flightPool = new WorkerPool(function() {
+    return new Worker(new URL("./flight-worker.js", import.meta.url), { type: "module" });
+}, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+/* The XC scoring worker, one is enough since it runs in the background */
+const scoringPool = new WorkerPool(function() {
+    return new Worker(new URL("./scoring-worker.js", import.meta.url), { type: "module" });
+}, 1);
+
+/* Optimise the XC route for fixes in the worker, resolves to the result of optimise() */
+function scoreFlight(fixes) {
+    return scoringPool.run((send) => send({
+        fixes: fixes.map((fix) => ({ latitude: fix.latitude, longitude: fix.longitude, timestamp: fix.timestamp })),
+    }));
+}
+
 /*
- * All colors available
- * https://htmlcolorcodes.com/color-chart/
+ * Show the progress of loading a file. Returns a function to call
+ * with a status, the part of the download done, or null when done.
  */
-const colors = [
-    "#3498db", "#F1C40F", "#E67E22", "#2ecc71", "#27AE60", "#16A085", "#1ABC9C",
-    "#3498DB", "#8E44AD", "#9B59B6", "#E74C3C", "#C0392B", "#F39C12", "#D35400",
-];
+function progress(filename) {
+    const row = document.createElement("div");
+    const label = document.createElement("span");
+    const bar = document.createElement("progress");
+    label.innerText = filename;
+    row.append(label, bar);
+    document.getElementById("progress").appendChild(row);
+
+    return function report(status) {
+        if (status === null) {
+            row.remove();
+        } else if (typeof status == "number") {
+            bar.value = status;
+        } else {
+            label.innerText = filename + ": " + status;
+            bar.removeAttribute("value");
+        }
+    };
+}
+
+/* Show a line of news where the progress is, for a while */
+function notice(text) {
+    message(text);
+    const row = document.createElement("div");
+    row.className = "notice";
+    row.innerText = text;
+    document.getElementById("progress").appendChild(row);
+    setTimeout(() => row.remove(), NOTICE_TIME);
+}
+
+/* Read the text of a response, reporting how much has been downloaded */
+async function readText(response, report) {
+    const total = parseInt(response.headers.get("Content-Length"), 10);
+    if (!response.body || !total)
+        return await response.text();
+
+    const reader = response.body.getReader();
+    const chunks = [ ];
+    let received = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done)
+            break;
+        chunks.push(value);
+        received += value.length;
+        report(Math.min(1, received / total));
+    }
+
+    return await new Blob(chunks).text();
+}
 
 const spinners = new Object();
 function spinner(identifier, waiting, timeout) {
@@ -106,93 +272,218 @@ function spinner(identifier, waiting, timeout) {
 }
 
 class Flight {
-    constructor(igcData, filename) {
+    constructor(igcData, filename, options) {
         this.igcData = igcData;
         this.name = filename;
 
+        /* Overrides from the timeline.json for this flight */
+        this.options = Object.assign({ }, options, { filename: filename });
+
         this.timezone = null;
         this.paraglider = null;
         this.tracker = null;
+        this.varioTrack = null;
         this.entities = null;
         this.interval = null;
+        this.statistics = null;
+
+        /* When each segment of the vario track ends, and those shown, see updateVario() */
+        this.varioTimes = null;
+        this.varioShown = [ 0, 0 ];
+        this.thermals = [ ];
+        this.task = null;
+        this.scoring = null;
+        this.integrity = null;
+        this.warningRange = null;
+
+        /* From flight-worker.js */
+        this.flying = null;
+        this.prepared = null;
+
+        /* The current level of detail of the path, see updateDetail() */
+        this.level = null;
+        this.bounds = null;
+
+        /* Made from the GPS of a video, see Flight.fromTelemetry() */
+        this.telemetry = false;
     }
 
     save() {
-        /* The JSON for this is just the filename */
+        /* Flights from telemetry are made again when their video loads */
+        if (this.telemetry)
+            return null;
+
+        /* The JSON for this is just the filename, unless it has overrides */
+        if (Object.keys(this.options).length > 1)
+            return this.options;
         return this.name;
     }
 
-    async create() {
+    /*
+     * Move the flight on the timeline by seconds, for loggers with a
+     * wrong clock. Its fixes are shifted in place by whole seconds,
+     * and the timeOffset saved in its options shifts them on load.
+     */
+    retime(seconds) {
+        const options = this.options;
+        const previous = options.timeOffset || 0;
+        const offset = Math.round(previous + seconds);
+        if (offset)
+            options.timeOffset = offset;
+        else
+            delete options.timeOffset;
+
+        const shift = offset - previous;
+        if (!shift)
+            return;
+
+        console.log("Retiming", this.name, "by", shift);
+        this.destroy();
+
+        retimeFlight({
+            fixes: this.igcData.fixes,
+            thermals: this.prepared.thermals,
+            problems: this.integrity ? this.integrity.problems : [ ],
+            options: options,
+        }, shift);
+
+        this.create();
+        updateIntervals();
+    }
+
+    /* The pilot of the flight log, by name or glider as listed in the timeline.json */
+    loggedPilot() {
         const igcData = this.igcData;
-        let startTime = null;
-        let endTime = null;
+        return state.registry.resolve(igcData.pilot, igcData.registration, igcData.callsign);
+    }
 
-        const pilot = Pilot.ensure(igcData.pilot);
+    /*
+     * Show the flight as another pilot's, which is saved in its
+     * options unless it's the pilot in the flight log.
+     */
+    setPilot(name) {
+        this.destroy();
+        if (name == this.loggedPilot())
+            delete this.options.pilot;
+        else
+            this.options.pilot = name;
+        this.create();
+        updateIntervals();
+    }
 
-        /* IGC files have timezone in floating point hours, we need it in seconds */
-        if (typeof igcData.timezone == "number")
-            this.timezone = igcData.timezone * 3600;
+    /*
+     * The index of the first and last fix that we're flying, either
+     * detected or overridden in timeline.json. Returns the whole log
+     * when the full log option is set.
+     */
+    airborne() {
+        const fixes = this.igcData.fixes;
+        const options = this.options;
+        const result = { first: 0, last: fixes.length - 1 };
+
+        /* Empty logs are reported once parsed, see Flight.parse() */
+        if (!fixes.length || options.fullLog || state.fullLog)
+            return result;
+
+        const flying = this.flying;
+        if (flying) {
+            result.first = flying.takeoff;
+            result.last = flying.landing;
+        }
 
-        // The SampledPositionedProperty stores the position/timestamp for each sample along the series.
-        const paragliderPositions = new Cesium.SampledPositionProperty();
-        const trackerPositions = new Cesium.SampledPositionProperty();
-        const trackerCartesian = new Cesium.Cartesian3(0, 0, 0);
-        const trackerStack = new Array();
+        /* Find the fix at or after the override */
+        function override(timestamp) {
+            const date = parseTimestamp(timestamp);
+            if (!date)
+                return -1;
+            const value = Cesium.JulianDate.toDate(date).valueOf();
+            const index = fixes.findIndex((fix) => fix.timestamp >= value);
+            return index < 0 ? fixes.length - 1 : index;
+        }
 
-        const TRACKER_WINDOW = 128;
+        if (options.takeoff) {
+            const index = override(options.takeoff);
+            if (index >= 0)
+                result.first = index;
+        }
+        if (options.landing) {
+            const index = override(options.landing);
+            if (index >= 0)
+                result.last = index;
+        }
 
-        function updateTracker(drain) {
-            if (drain || trackerStack.length >= TRACKER_WINDOW) {
-                const bottom = trackerStack.shift();
-                Cesium.Cartesian3.subtract(trackerCartesian, bottom.position, trackerCartesian);
-            }
+        if (result.last < result.first) {
+            warning("Flight landing is before takeoff:", this.name);
+            result.last = result.first;
+        }
 
-            if ((drain && trackerStack.length) || trackerStack.length > TRACKER_WINDOW / 2) {
-                const average = new Cesium.Cartesian3(0, 0, 0);
-                Cesium.Cartesian3.divideByScalar(trackerCartesian, trackerStack.length, average);
+        return result;
+    }
 
-                const index = Math.max(0, trackerStack.length - TRACKER_WINDOW / 2);
-                trackerPositions.addSample(trackerStack[index].time, average);
-            }
+    /*
+     * The altitude mode for this flight, and for the pressure modes
+     * the terrain height at takeoff to calibrate against.
+     */
+    async altitude() {
+        const fixes = this.igcData.fixes;
+        const { first, last } = this.airborne();
+
+        const mode = this.options.altitude || state.altitude;
+        if (this.options.altitude && !ALTITUDE_MODES.includes(this.options.altitude))
+            warning("Invalid altitude mode for flight", this.name, ":", this.options.altitude);
+
+        let calibration = null;
+        if (needsCalibration(mode) && last >= first) {
+            const height = await terrainHeight(fixes[first].latitude, fixes[first].longitude);
+            if (typeof height == "number")
+                calibration = { index: first, terrain: height };
         }
 
-        const entities = [ ];
-        const length = igcData.fixes.length;
+        return { mode: mode, calibration: calibration };
+    }
 
-        // Create a point for each.
-        for (let i = 0; i < length; i++) {
-            const fix = igcData.fixes[i];
+    /* Add the flight to the scene, once flight-worker.js has prepared it */
+    create() {
+        const igcData = this.igcData;
+        const prepared = this.prepared;
+        let startTime = null;
+        let endTime = null;
 
-            // const altitude = (fix.gpsAltitude + fix.pressureAltitude) / 2;
-            const time = parseTimestamp(fix.timestamp);
-            const altitude = fix.gpsAltitude - 70;
-            const position = Cesium.Cartesian3.fromDegrees(fix.longitude, fix.latitude, altitude);
+        const pilot = Pilot.ensure(typeof this.options.pilot == "string" ? this.options.pilot : this.loggedPilot());
+        const { first, last } = this.airborne();
+        this.statistics = computeStatistics(igcData.fixes.slice(first, last + 1));
 
-            /*
-             * The starting, stopping point, an invisible marker.
-             * To debug, trace entire track just change condition and pixelSize
-             */
-            if (i == 0 || i == length - 1) {
-                entities.push(viewer.entities.add({
-                    position: position,
-                    point: { pixelSize: 0, color: Cesium.Color.BLUE }
-                }));
-            }
+        /* IGC files have timezone in floating point hours, we need it in seconds */
+        if (typeof igcData.timezone == "number")
+            this.timezone = igcData.timezone * 3600;
 
-            paragliderPositions.addSample(time, position);
+        const trackerPositions = new Cesium.SampledPositionProperty();
 
-            trackerStack.push({ position: position, time: time });
-            Cesium.Cartesian3.add(trackerCartesian, position, trackerCartesian);
-            updateTracker();
+        const entities = [ ];
+        const heights = prepared.heights;
+
+        /* The starting, stopping point, an invisible marker */
+        (first == last ? [ first ] : [ first, last ]).forEach(function(i) {
+            entities.push(viewer.entities.add({
+                position: Cesium.Cartesian3.unpack(prepared.positions, i * 3),
+                point: { pixelSize: 0, color: Cesium.Color.BLUE }
+            }));
+        });
 
-            startTime = startTime || time;
-            endTime = time;
-        }
+        /* Only the part we're flying is the interval of the flight */
+        startTime = parseTimestamp(igcData.fixes[first].timestamp);
+        endTime = parseTimestamp(igcData.fixes[last].timestamp);
 
+        /* The path starts at the coarsest level of detail, see updateDetail() */
+        this.level = DETAIL_TOLERANCES.length - 1;
+        this.bounds = Cesium.BoundingSphere.fromVertices(prepared.positions);
 
-        /* Update the remaining average position of the tracker */
-        while (trackerStack.length > 0)
-            updateTracker(true);
+        /* The smoothed tracker position, see trackerPositions() */
+        const smoothed = prepared.tracker;
+        for (let i = 0; i < smoothed.indexes.length; i++) {
+            trackerPositions.addSample(parseTimestamp(igcData.fixes[smoothed.indexes[i]].timestamp),
+                Cesium.Cartesian3.unpack(smoothed.positions, i * 3));
+        }
 
         const interval = new Cesium.TimeInterval({
             start: startTime,
@@ -213,7 +504,7 @@ class Flight {
                 interval, /* The actual time of the flight, extended avalability below */
                 new Cesium.TimeInterval({ start: endTime, stop: extended })
             ]),
-            position: paragliderPositions,
+            position: this.detail(this.level),
             point: { pixelSize: 10, color: pilot.color },
             // Automatically compute the orientation from the position.
             orientation: new Cesium.VelocityOrientationProperty(trackerPositions),
@@ -246,6 +537,145 @@ class Flight {
         tracker.data = this;
         entities.push(paraglider, tracker);
 
+        /*
+         * The airborne track coloured by climb and sink, shown instead of
+         * the path. Each segment is shown as the clock passes it, see
+         * updateVario().
+         */
+        if (last > first) {
+            const indexes = [ first ].concat(Array.from(prepared.levels[VARIO_DETAIL])
+                .filter((i) => i > first && i < last), [ last ]);
+            const rates = prepared.rates;
+            const instances = [ ];
+            for (let j = 1; j < indexes.length; j++) {
+                const segment = [ indexes[j - 1], indexes[j] ];
+                instances.push(new Cesium.GeometryInstance({
+                    id: j - 1,
+                    geometry: new Cesium.PolylineGeometry({
+                        positions: segment.map((i) => Cesium.Cartesian3.unpack(prepared.positions, i * 3)),
+                        colors: segment.map((i) => new Cesium.Color(...varioColor(rates[i]))),
+                        colorsPerVertex: true,
+                        width: 2,
+                        arcType: Cesium.ArcType.NONE,
+                    }),
+                    attributes: { show: new Cesium.ShowGeometryInstanceAttribute(false) },
+                }));
+            }
+            this.varioTimes = indexes.slice(1).map((i) => igcData.fixes[i].timestamp);
+            this.varioShown = [ 0, 0 ];
+            this.varioTrack = viewer.scene.primitives.add(new Cesium.Primitive({
+                geometryInstances: instances,
+                appearance: new Cesium.PolylineColorAppearance(),
+                allowPicking: false,
+            }));
+        }
+
+        /* A translucent column for each thermal, from base to top */
+        this.thermals = prepared.thermals.map((data, index) => {
+            const thermal = new Thermal(this, data, index);
+            let base = heights[data.startIndex];
+            let top = base;
+            for (let i = data.startIndex; i <= data.stopIndex; i++) {
+                base = Math.min(base, heights[i]);
+                top = Math.max(top, heights[i]);
+            }
+
+            const column = viewer.entities.add({
+                availability: paraglider.availability,
+                position: Cesium.Cartesian3.fromDegrees(data.longitude, data.latitude, (base + top) / 2),
+                cylinder: {
+                    length: Math.max(1, top - base),
+                    topRadius: THERMAL_RADIUS,
+                    bottomRadius: THERMAL_RADIUS,
+                    material: pilot.color.withAlpha(0.25),
+                },
+            });
+            const label = viewer.entities.add({
+                availability: paraglider.availability,
+                position: Cesium.Cartesian3.fromDegrees(data.longitude, data.latitude, top),
+                label: {
+                    text: "+" + data.climb.toFixed(1) + " m/s\n" +
+                        data.base.toFixed(0) + " - " + data.top.toFixed(0) + " m",
+                    font: "12px sans-serif",
+                    fillColor: pilot.color,
+                    showBackground: true,
+                    verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                    distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, THERMAL_LABEL_DISTANCE),
+                },
+            });
+
+            column.data = label.data = thermal;
+            entities.push(column, label);
+            return thermal;
+        });
+
+        /* The declared task as turnpoint cylinders and a course line */
+        const turnpoints = taskTurnpoints(igcData.task);
+        if (turnpoints.length) {
+            const reached = taskReached(turnpoints, igcData.fixes);
+            this.task = { turnpoints: turnpoints, reached: reached };
+
+            let low = Infinity;
+            let high = -Infinity;
+            heights.forEach(function(height) {
+                low = Math.min(low, height);
+                high = Math.max(high, height);
+            });
+
+            turnpoints.forEach(function(turnpoint, i) {
+                const position = Cesium.Cartesian3.fromDegrees(turnpoint.longitude, turnpoint.latitude, high);
+
+                /* The cylinder turns green once the turnpoint is reached */
+                const color = new Cesium.TimeIntervalCollectionProperty();
+                const when = reached[i] === null ? null : parseTimestamp(reached[i]);
+                color.intervals.addInterval(new Cesium.TimeInterval({
+                    start: Cesium.Iso8601.MINIMUM_VALUE,
+                    stop: when || Cesium.Iso8601.MAXIMUM_VALUE,
+                    isStopIncluded: false,
+                    data: pilot.color.withAlpha(0.15),
+                }));
+                if (when) {
+                    color.intervals.addInterval(new Cesium.TimeInterval({
+                        start: when,
+                        stop: Cesium.Iso8601.MAXIMUM_VALUE,
+                        data: Cesium.Color.LIME.withAlpha(0.3),
+                    }));
+                }
+
+                entities.push(viewer.entities.add({
+                    availability: paraglider.availability,
+                    position: position,
+                    ellipse: {
+                        semiMajorAxis: turnpoint.radius,
+                        semiMinorAxis: turnpoint.radius,
+                        height: isFinite(low) ? low : 0,
+                        extrudedHeight: isFinite(high) ? high : 0,
+                        material: new Cesium.ColorMaterialProperty(color),
+                        outline: true,
+                        outlineColor: pilot.color,
+                    },
+                    label: {
+                        text: turnpoint.name,
+                        font: "12px sans-serif",
+                        fillColor: pilot.color,
+                        showBackground: true,
+                        verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                    },
+                }));
+            });
+
+            entities.push(viewer.entities.add({
+                availability: paraglider.availability,
+                polyline: {
+                    positions: Cesium.Cartesian3.fromDegreesArray(turnpoints.flatMap((turnpoint) =>
+                        [ turnpoint.longitude, turnpoint.latitude ])),
+                    clampToGround: true,
+                    width: 2,
+                    material: new Cesium.PolylineDashMaterialProperty({ color: pilot.color }),
+                },
+            }));
+        }
+
         this.entities = entities;
         this.paraglider = paraglider;
         this.tracker = tracker;
@@ -254,24 +684,217 @@ class Flight {
         pilot.add(this);
         assert(this.pilot == pilot);
 
-        // TODO: This uses a private API
+        /* Flights from telemetry follow their video */
         assert(!this.range);
-        this.range = viewer.timeline.addHighlightRange(pilot.color.toCssHexString(),
-            3, pilot.index * 2);
+        this.range = timelineOverlay.addRange(pilot.color.toCssHexString(), 3, pilot.index * 2);
+        if (!this.telemetry)
+            this.range.onMove = (seconds) => runEdit(retimeCommand(this, seconds));
         this.range.setRange(interval.start, interval.stop);
+
+        this.updateDetail();
+
+        /* A warning band just above the range for suspect flight logs */
+        if (this.integrity.suspect) {
+            this.warningRange = timelineOverlay.addRange(WARNING_COLOR, 2, pilot.index * 2 + 3);
+            this.warningRange.setRange(interval.start, interval.stop);
+        }
+
+        pilot.showRanges(this);
+        this.updateDisplay();
+
+        /* This takes a while, so don't hold up loading the other flights */
+        scoreFlight(igcData.fixes.slice(first, last + 1)).then((scoring) => {
+            /* Unless the flight was made again in the meantime */
+            if (this.entities == entities)
+                this.addScoring(scoring);
+        }).catch((ex) => {
+            warning("Couldn't score flight", this.name, ex);
+        });
+    }
+
+    /* Draw the best scored XC route, once the worker has optimised it */
+    addScoring(scoring) {
+        /* The flight may have been removed in the meantime */
+        if (!this.entities || !scoring.best)
+            return;
+
+        this.scoring = scoring;
+        const best = scoring.best;
+        const pilot = this.pilot;
+
+        /*
+         * The route from start to finish, or for a triangle just the
+         * legs from TP1 to TP2 to TP3 and back to TP1. The start and
+         * finish are marked below.
+         */
+        let points = best.points;
+        if (best.closed)
+            points = points.slice(1, 4).concat([ points[1] ]);
+
+        this.entities.push(viewer.entities.add({
+            availability: this.paraglider.availability,
+            polyline: {
+                positions: Cesium.Cartesian3.fromDegreesArray(points.flatMap((point) =>
+                    [ point.longitude, point.latitude ])),
+                clampToGround: true,
+                width: 3,
+                material: new Cesium.PolylineOutlineMaterialProperty({
+                    color: pilot.color,
+                    outlineColor: Cesium.Color.WHITE,
+                    outlineWidth: 1,
+                }),
+            },
+        }));
+
+        best.points.forEach((point, i) => {
+            this.entities.push(viewer.entities.add({
+                availability: this.paraglider.availability,
+                position: Cesium.Cartesian3.fromDegrees(point.longitude, point.latitude),
+                point: {
+                    pixelSize: 6,
+                    color: pilot.color,
+                    heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+                },
+                label: {
+                    text: SCORING_NAMES[i],
+                    font: "11px sans-serif",
+                    fillColor: pilot.color,
+                    showBackground: true,
+                    verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                    pixelOffset: new Cesium.Cartesian2(0, -8),
+                    heightReference: Cesium.HeightReference.CLAMP_TO_GROUND,
+                    distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, THERMAL_LABEL_DISTANCE),
+                },
+            }));
+        });
+
+        this.pilot.adopt(this);
+        if (statisticsFlight == this)
+            showStatistics(this);
+    }
+
+    /* A position property with the samples for a level of detail, see simplify.js */
+    detail(level) {
+        const fixes = this.igcData.fixes;
+        const positions = this.prepared.positions;
+        const indexes = this.prepared.levels[level];
+        const property = new Cesium.SampledPositionProperty();
+        property.addSamples(Array.from(indexes, (i) => parseTimestamp(fixes[i].timestamp)),
+            Array.from(indexes, (i) => Cesium.Cartesian3.unpack(positions, i * 3)));
+        return property;
+    }
+
+    /*
+     * Draw the path at the coarsest level of detail where the fixes
+     * left out are within a pixel or so, for the camera's distance.
+     * The full resolution is still used for statistics and tracking.
+     */
+    updateDetail() {
+        if (!this.paraglider)
+            return;
+
+        const scene = viewer.scene;
+        const size = scene.camera.getPixelSize(this.bounds, scene.drawingBufferWidth, scene.drawingBufferHeight);
+        let level = 0;
+        while (level + 1 < DETAIL_TOLERANCES.length && DETAIL_TOLERANCES[level + 1] <= size * DETAIL_PIXELS)
+            level++;
+
+        if (level != this.level) {
+            this.level = level;
+            this.paraglider.position = this.detail(level);
+        }
+    }
+
+    /*
+     * The fixes before and after a time, and how far along between them
+     * it is from 0 to 1. Returns undefined outside of the log.
+     */
+    fixesAround(time) {
+        const fixes = this.igcData.fixes;
+        const timestamp = Cesium.JulianDate.toDate(time).valueOf();
+        if (!fixes.length || timestamp < fixes[0].timestamp || timestamp > fixes[fixes.length - 1].timestamp)
+            return undefined;
+
+        let low = 0;
+        let high = fixes.length - 1;
+        while (high - low > 1) {
+            const middle = (low + high) >> 1;
+            if (fixes[middle].timestamp <= timestamp)
+                low = middle;
+            else
+                high = middle;
+        }
+
+        const span = fixes[high].timestamp - fixes[low].timestamp;
+        return { low: low, high: high, along: span > 0 ? (timestamp - fixes[low].timestamp) / span : 0 };
+    }
+
+    /* The full resolution position at a time, between the fixes around it */
+    positionAt(time) {
+        const around = this.fixesAround(time);
+        if (!around)
+            return undefined;
+        const positions = this.prepared.positions;
+        const before = Cesium.Cartesian3.unpack(positions, around.low * 3);
+        return Cesium.Cartesian3.lerp(before, Cesium.Cartesian3.unpack(positions, around.high * 3),
+            around.along, before);
+    }
+
+    /* The altitude in the log at a time, as in the statistics, see fixAltitude() */
+    altitudeAt(time) {
+        const around = this.fixesAround(time);
+        if (!around)
+            return undefined;
+        const fixes = this.igcData.fixes;
+        const before = fixAltitude(fixes[around.low]);
+        return before + (fixAltitude(fixes[around.high]) - before) * around.along;
+    }
+
+    /* Apply the current display options to this flight */
+    updateDisplay() {
+        const vario = state.varioColors && !!this.varioTrack;
+        if (this.varioTrack)
+            this.varioTrack.show = vario && (!this.pilot || this.pilot.visible());
+        if (this.paraglider)
+            this.paraglider.path.show = !vario;
+    }
+
+    /* Show the vario track up to the time, and only the trail behind it like the path */
+    updateVario(time) {
+        const track = this.varioTrack;
+        if (!track || !track.show || !track.ready)
+            return;
+
+        const [ first, last ] = varioSpan(this.varioTimes, Cesium.JulianDate.toDate(time).valueOf(), state.trailing);
+        const [ shownFirst, shownLast ] = this.varioShown;
+        for (let i = Math.min(first, shownFirst); i < Math.max(last, shownLast); i++) {
+            const show = i >= first && i < last;
+            if (show != (i >= shownFirst && i < shownLast)) {
+                const attributes = track.getGeometryInstanceAttributes(i);
+                attributes.show = Cesium.ShowGeometryInstanceAttribute.toValue(show, attributes.show);
+            }
+        }
+        this.varioShown = [ first, last ];
     }
 
     destroy() {
-        // TODO: This uses private API
         assert(this.range);
-        this.range.setRange(null, null);
+        this.range.destroy();
         this.range = null;
-        viewer.timeline.resize();
+        if (this.warningRange)
+            this.warningRange.destroy();
+        this.warningRange = null;
+
+        if (this.varioTrack)
+            viewer.scene.primitives.remove(this.varioTrack);
+        this.varioTrack = null;
+        this.varioTimes = null;
 
         while (this.entities && this.entities.length) {
             const entity = this.entities.pop();
             viewer.entities.remove(entity);
             entity.data = null;
+            entity.parent = undefined;
         }
         this.entities = null;
 
@@ -289,26 +912,77 @@ class Flight {
     }
 };
 
-Flight.load = async function loadFlight(filename) {
-    let igcData = { fixes: [ ], pilot: "" };
+/* A thermal detected in a flight, which can be jumped to on the timeline */
+class Thermal {
+    constructor(flight, data, index) {
+        this.flight = flight;
+        this.name = flight.name + " thermal " + (index + 1);
+        this.climb = data.climb;
+        this.base = data.base;
+        this.top = data.top;
+
+        this.interval = new Cesium.TimeInterval({
+            start: parseTimestamp(data.start),
+            stop: parseTimestamp(data.stop),
+            isStopIncluded: false,
+            data: this,
+        });
+    }
+
+    get pilot() {
+        return this.flight.pilot;
+    }
+};
+
+/*
+ * Flights in the timeline.json are a filename, or an object with
+ * a filename and overrides like takeoff, landing or fullLog. The
+ * log is parsed in a worker, and this resolves to the Flight to
+ * add with Flight.add(), or null if it can't be parsed.
+ */
+Flight.parse = async function parseFlightEntry(entry) {
+    const options = typeof entry == "string" ? { filename: entry } : Object.assign({ }, entry);
+    const filename = options.filename;
+    const report = progress(filename);
+    let flight = null;
 
     try {
         const response = await fetch(qualifiedUrl(filename));
         if (response.ok) {
-            const data = await response.text();
-            igcData = IGCParser.parse(data);
+            const data = await readText(response, report);
+            if (options.timeOffset && typeof options.timeOffset != "number")
+                warning("Invalid timeOffset for flight", filename, ":", options.timeOffset);
+            flight = await parseFlight({
+                data: data,
+                filename: filename,
+                mime: guessMimeType(filename, options.kind),
+                offset: typeof options.timeOffset == "number" ? options.timeOffset : 0,
+            }, options, report);
         } else {
             if (response.status == 404)
-                warning("IGC flight log file not found", filename);
+                warning("Flight log file not found", filename);
             else
                 warning("Couldn't load flight log file file", filename, response.status, response.statusText);
         }
     } catch (ex) {
-        warning("Failure to parse IGC flight log file", filename, ":", ex);
+        warning("Failure to parse flight log file", filename, ":", ex);
+    } finally {
+        report(null);
     }
 
-    var flight = new Flight(igcData, filename);
-    await flight.create();
+    if (flight && !flight.igcData.fixes.length) {
+        warning("No fixes in flight log file", filename);
+        flight = null;
+    }
+    return flight;
+};
+
+/* Put a parsed flight on the timeline, along with its pilot */
+Flight.add = function addFlight(flight) {
+    if (!flight)
+        return null;
+
+    flight.create();
 
     /* Use the first valid timezone in a flight */
     if (typeof state.timezone != "number")
@@ -317,6 +991,67 @@ Flight.load = async function loadFlight(filename) {
     return flight;
 };
 
+/*
+ * Add flights from Flight.parse() promises, each as soon as it's parsed
+ * and those before it are added, so their pilots come in that order.
+ * Returns promises of the added flights.
+ */
+Flight.addAll = function addFlights(parses) {
+    let previous = Promise.resolve();
+    return parses.map(function(parsed) {
+        const added = Promise.all([ parsed, previous ]).then(([ flight ]) => Flight.add(flight));
+        previous = added.catch(() => null);
+        return added;
+    });
+};
+
+/*
+ * A flight from the GPS telemetry of a video, for pilots without a
+ * flight log, where igcData is from telemetryLog(). Resolves to
+ * null if it can't be prepared.
+ */
+Flight.fromTelemetry = async function flightFromTelemetry(igcData, filename) {
+    const report = progress(filename);
+    let flight = null;
+
+    try {
+        flight = await parseFlight({ igcData: igcData, filename: filename }, { }, report);
+        flight.telemetry = true;
+    } catch (ex) {
+        warning("Failure to prepare the telemetry of", filename, ":", ex);
+    } finally {
+        report(null);
+    }
+
+    if (!flight)
+        return null;
+
+    flight.create();
+    return flight;
+};
+
+/*
+ * Parse and prepare a flight log in flight-worker.js, where message
+ * has the fields of its parse message. Resolves to the Flight, which
+ * isn't created yet.
+ */
+async function parseFlight(message, options, report) {
+    return await flightPool.run(async function(send) {
+        report("Parsing");
+        const parsed = await send(Object.assign({ type: "parse" }, message));
+
+        const flight = new Flight(parsed.igcData, message.filename, options);
+        flight.flying = parsed.flying;
+        flight.integrity = parsed.integrity;
+
+        /* The terrain for calibration is only available here */
+        report("Preparing");
+        const prepared = await send(Object.assign({ type: "prepare" }, await flight.altitude()));
+        flight.prepared = Object.assign(prepared, { rates: parsed.rates, thermals: parsed.thermals });
+        return flight;
+    });
+}
+
 class Video {
     constructor(videoData) {
         this.name = this.filename = videoData.filename;
@@ -327,10 +1062,28 @@ class Video {
 
         this.ticker = null;
         this.originalRate = null;
+
+        /* The rate before it was dialled while playing, see dial() */
+        this.dialled = null;
+
+        /* The flight made from its GPS, see Flight.fromTelemetry() */
+        this.telemetryFlight = null;
+
+        /* The part of the video that plays in seconds, see updateInterval() */
+        this.inpoint = 0;
+        this.outpoint = null;
+
+        /* The timestamp came from the file, see mediaMetadata() */
+        this.fromMetadata = false;
     }
 
     save() {
-        /* The JSON for this is the videoData */
+        /* The JSON for this is the videoData, less a timestamp we can read again */
+        if (this.fromMetadata) {
+            const data = Object.assign({ }, this.videoData);
+            delete data.timestamp;
+            return data;
+        }
         return this.videoData;
     }
 
@@ -377,36 +1130,15 @@ class Video {
         }
         document.body.appendChild(element);
 
-        const pilot = Pilot.ensure(videoData.pilot);
+        const pilot = Pilot.ensure(state.registry.resolve(videoData.pilot, videoData.camera));
 
         // TODO: Validate dates
         const start = parseTimestamp(videoData.timestamp);
 
         function completeVideo() {
             spinner(identifier, false);
-
-            const duration = parseDuration(videoData.duration) || DEFAULT_DURATION;
-            const stop = start.clone();
-            Cesium.JulianDate.addSeconds(start, duration * that.rate, stop);
-
-            const interval = new Cesium.TimeInterval({
-                start: start,
-                stop: stop,
-                isStopIncluded: false,
-                data: that,
-            });
-
-            interval.data = that;
-            that.interval = interval;
-
-            pilot.add(that);
+            that.updateInterval();
             assert(that.pilot == pilot);
-
-            // TODO: This uses a private API
-            assert(!that.range);
-            that.range = viewer.timeline.addHighlightRange(pilot.color.toCssHexString(),
-                3, pilot.index * 2 + 5);
-            that.range.setRange(interval.start, interval.stop);
         }
 
         that.entities = [ ];
@@ -434,7 +1166,7 @@ class Video {
         if (!position) {
             const flight = pilot.flights.findDataForIntervalContainingDate(start);
             if (flight)
-                position = flight.paraglider.position.getValue(start);
+                position = flight.positionAt(start);
         }
 
         /* A billboard to see the video */
@@ -479,6 +1211,197 @@ class Video {
         });
     }
 
+    /*
+     * Put the video on the timeline from its timestamp, which is when
+     * it started recording, and the part of it that plays between the
+     * inpoint and outpoint in seconds into it. Call again when these
+     * change, quietly while the rate is being dialled.
+     */
+    updateInterval(quiet) {
+        const videoData = this.videoData;
+        const duration = parseDuration(videoData.duration) || DEFAULT_DURATION;
+
+        let inpoint = parseDuration(videoData.inpoint) || 0;
+        if (!(inpoint >= 0 && inpoint < duration)) {
+            warning("Invalid inpoint for video", this.name, ":", videoData.inpoint);
+            inpoint = 0;
+        }
+
+        let outpoint = videoData.outpoint === undefined ? duration : parseDuration(videoData.outpoint);
+        if (!(outpoint > inpoint && outpoint <= duration)) {
+            warning("Invalid outpoint for video", this.name, ":", videoData.outpoint);
+            outpoint = duration;
+        }
+
+        this.inpoint = inpoint;
+        this.outpoint = outpoint;
+
+        const origin = parseTimestamp(videoData.timestamp);
+        const start = new Cesium.JulianDate();
+        const stop = new Cesium.JulianDate();
+        Cesium.JulianDate.addSeconds(origin, inpoint * this.rate, start);
+        Cesium.JulianDate.addSeconds(origin, outpoint * this.rate, stop);
+
+        const pilot = this.pilot || Pilot.ensure(state.registry.resolve(videoData.pilot, videoData.camera));
+        const changed = !!this.interval;
+        if (changed) {
+            pilot.remove(this);
+            this.interval.data = null;
+        }
+
+        this.interval = new Cesium.TimeInterval({
+            start: start,
+            stop: stop,
+            isStopIncluded: false,
+            data: this,
+        });
+
+        if (changed && !quiet)
+            this.warnOverlaps(pilot);
+
+        pilot.add(this);
+
+        if (!this.range) {
+            this.range = timelineOverlay.addRange(pilot.color.toCssHexString(), 3, pilot.index * 2 + 5);
+            this.range.onMove = (seconds) => runEdit(retimeCommand(this, seconds));
+        }
+        this.range.setRange(start, stop);
+        pilot.showRanges(this);
+    }
+
+    /* Overlapping videos of a pilot cut each other short on the timeline */
+    warnOverlaps(pilot) {
+        const overlaps = [ ];
+        for (let i = 0; i < pilot.videos.length; i++) {
+            const other = pilot.videos.get(i);
+            if (other.data != this && !Cesium.TimeInterval.intersect(other, this.interval).isEmpty)
+                overlaps.push(other.data.name);
+        }
+        if (overlaps.length)
+            warning("Video", this.name, "now overlaps", overlaps.join(", "));
+    }
+
+    /*
+     * Change how fast the clock runs while the video plays, which
+     * stretches it on the timeline from when it started. This is
+     * saved in the videoData.
+     */
+    setRate(rate) {
+        if (typeof rate != "number" || !(rate > 0)) {
+            warning("Invalid rate for video:", rate);
+            return;
+        }
+        if (rate == this.rate)
+            return;
+
+        console.log("Rate of", this.name, this.rate, "->", rate);
+        this.rate = this.videoData.rate = rate;
+        this.updateInterval();
+        updateIntervals();
+
+        /* While playing, the clock keeps up with the video */
+        if (this.ticker)
+            viewer.clock.multiplier = rate * (viewer.clock.multiplier < 0 ? -1 : 1);
+    }
+
+    /*
+     * Follow the dial while the video plays, which only stretches the
+     * video on the timeline. The rest happens once in settle().
+     */
+    dial(rate) {
+        if (this.dialled === null)
+            this.dialled = this.rate;
+        this.rate = this.videoData.rate = rate;
+        this.updateInterval(true);
+    }
+
+    /*
+     * Done dialling: the timeline is brought up to date and overlaps
+     * are warned about. Returns the rate before dialling, or null
+     * when it wasn't dialled.
+     */
+    settle() {
+        const previous = this.dialled;
+        if (previous === null)
+            return null;
+        this.dialled = null;
+        if (previous == this.rate)
+            return null;
+
+        console.log("Rate of", this.name, previous, "->", this.rate);
+        updateIntervals();
+        this.warnOverlaps(this.pilot);
+        return previous;
+    }
+
+    /*
+     * Move the video on the timeline by seconds, which is saved in its
+     * timestamp. A billboard placed along a flight moves along with it,
+     * and so does the flight from its GPS.
+     */
+    retime(seconds) {
+        const videoData = this.videoData;
+        const timestamp = parseTimestamp(videoData.timestamp);
+        Cesium.JulianDate.addSeconds(timestamp, seconds, timestamp);
+        videoData.timestamp = Cesium.JulianDate.toIso8601(timestamp, 0);
+        this.fromMetadata = false;
+
+        console.log("Retiming", this.name, "by", seconds);
+        this.updateInterval();
+        updateIntervals();
+
+        /* Unless it was deleted */
+        if (this.telemetryFlight && this.telemetryFlight.interval)
+            this.telemetryFlight.retime(seconds);
+
+        const billboard = this.entities[0];
+        const flight = this.pilot.flights.findDataForIntervalContainingDate(timestamp);
+        if (billboard && flight && !(videoData.longitude || videoData.latitude || videoData.altitude))
+            billboard.position = flight.positionAt(timestamp);
+    }
+
+    /* The time in seconds into the video at a time on the clock */
+    position(time) {
+        return this.inpoint + Cesium.JulianDate.secondsDifference(time, this.interval.start) / this.rate;
+    }
+
+    /*
+     * Only play the video from the inpoint to the outpoint in seconds,
+     * or all of it when they're null. These are saved in the videoData.
+     */
+    trim(inpoint, outpoint) {
+        const videoData = this.videoData;
+        const duration = parseDuration(videoData.duration) || DEFAULT_DURATION;
+
+        inpoint = Math.round(Math.max(0, inpoint || 0) * 1000) / 1000;
+        if (inpoint > 0)
+            videoData.inpoint = inpoint;
+        else
+            delete videoData.inpoint;
+
+        if (outpoint === null || outpoint >= duration) {
+            delete videoData.outpoint;
+        } else {
+            videoData.outpoint = Math.round(outpoint * 1000) / 1000;
+            if (videoData.outpoint <= inpoint) {
+                warning("Video outpoint must be after the inpoint:", this.name);
+                delete videoData.outpoint;
+            }
+        }
+
+        console.log("Trimming", this.name, videoData.inpoint || 0, "->", videoData.outpoint || duration);
+        this.updateInterval();
+        updateIntervals();
+    }
+
+    /* Show the video as another pilot's, which is saved in the videoData */
+    async setPilot(name) {
+        this.destroy();
+        this.videoData.pilot = name;
+        await this.create();
+        updateIntervals();
+    }
+
     destroy() {
         this.stop();
 
@@ -490,14 +1413,13 @@ class Video {
             const entity = this.entities.pop();
             viewer.entities.remove(entity);
             entity.data = null;
+            entity.parent = undefined;
         }
         this.entities = null;
 
-        // TODO: This uses private API
         assert(this.range);
-        this.range.setRange(null, null);
+        this.range.destroy();
         this.range = null;
-        viewer.timeline.resize();
 
         this.pilot.remove(this);
         assert(this.pilot == null);
@@ -510,18 +1432,18 @@ class Video {
 
     start() {
         const element = this.element;
-        const interval = this.interval;
         const clock = viewer.clock;
         const name = this.name;
         const that = this;
 
         function syncVideo() {
 
-            /* Changing the rate during video play changes the metadata of the rate */
-            // TODO: We should be updating all the intervals for this video. Hard
-            that.rate = that.videoData.rate = Math.abs(clock.multiplier);
+            /* Changing the clock rate during video play changes the rate of the video */
+            const rate = Math.abs(clock.multiplier);
+            if (rate > 0 && rate != that.rate)
+                that.dial(rate);
 
-            const at = Cesium.JulianDate.secondsDifference(clock.currentTime, interval.start) / that.rate;
+            const at = that.position(clock.currentTime);
             if (!Cesium.Math.equalsEpsilon(at, element.currentTime, Cesium.Math.EPSILON1, 1)) {
                 console.log("Syncing", name, element.currentTime, "->", at);
                 element.currentTime = at;
@@ -556,6 +1478,7 @@ class Video {
         if (this.ticker)
             this.ticker(); /* Remove the onTick handler */
         this.ticker = null;
+        commitRate(this);
         if (this.element.pause)
             this.element.pause();
         var direction = viewer.clock.multiplier < 0 ? -1 : 1;
@@ -563,9 +1486,90 @@ class Video {
     }
 };
 
-Video.load = async function loadVideo(videoData) {
+function hasPosition(videoData) {
+    return typeof videoData.latitude == "number" && typeof videoData.longitude == "number";
+}
+
+/*
+ * Videos and images without a timestamp or position get them from
+ * their metadata, or failing that the defaults, like where it was
+ * dropped. GoPro videos are lined up with the flight log of their
+ * pilot using their GPS, or become a flight when there is none.
+ * Resolves to null without a timestamp.
+ */
+Video.load = async function loadVideo(videoData, defaults) {
     // TODO: Put all the validation here
+    let fromMetadata = false;
+    const type = guessMimeType(videoData.filename, videoData.kind);
+    const isImage = type.startsWith("image/");
+    const explicit = !!videoData.timestamp;
+    videoData = Object.assign({ }, videoData);
+    if (!videoData.timestamp || (isImage && !hasPosition(videoData))) {
+        const found = await mediaMetadata(videoData);
+        if (found && !videoData.timestamp && found.timestamp) {
+            videoData.timestamp = found.timestamp;
+            if (found.camera)
+                videoData.camera = found.camera;
+            fromMetadata = true;
+        }
+
+        /* The EXIF altitude is above sea level, ours above the ellipsoid */
+        if (found && found.position && !hasPosition(videoData)) {
+            const position = found.position;
+            videoData.latitude = position.latitude;
+            videoData.longitude = position.longitude;
+            videoData.altitude = Math.max(0, (position.altitude || 0) +
+                geoidHeight(position.latitude, position.longitude));
+            videoData.positionFrom = "exif";
+        }
+    }
+
+    const telemetry = TELEMETRY_TYPES.includes(type) && videoData.telemetry !== false ?
+        await mediaTelemetry(videoData) : null;
+    let telemetryFlight = null;
+    if (telemetry) {
+        const flights = loggedFlights(videoData.pilot);
+        const timestamp = videoData.timestamp || (defaults || { }).timestamp;
+        const clock = timestamp ? Cesium.JulianDate.toDate(parseTimestamp(timestamp)).valueOf() : null;
+
+        /* The GPS clock is better than the camera's, unless the timestamp was given */
+        let start = explicit || telemetry.start === null ? clock : telemetry.start;
+
+        if (!explicit && flights.length && start !== null) {
+            const range = telemetry.start === null ? CLOCK_RANGE : ALIGN_RANGE;
+            let best = null;
+            flights.forEach(function(flight) {
+                const aligned = alignTelemetry(telemetry, flight.igcData.fixes, start, range);
+                if (aligned && aligned.error <= ALIGN_DISTANCE && (!best || aligned.error < best.error))
+                    best = aligned;
+            });
+            if (best)
+                start = best.start;
+        }
+
+        /* Without the GPS clock, only a timestamp from the file can be read again */
+        if (!explicit && start !== null && start !== clock) {
+            videoData.timestamp = new Date(start).toISOString();
+            fromMetadata = fromMetadata || telemetry.start !== null;
+        }
+
+        if (!flights.length && start !== null)
+            telemetryFlight = await Flight.fromTelemetry(telemetryLog(telemetry, start, videoData.pilot || ""), videoData.filename);
+    }
+
+    for (const key in defaults || { }) {
+        if (!(key in videoData) && defaults[key] !== undefined && defaults[key] !== null)
+            videoData[key] = defaults[key];
+    }
+
+    if (!videoData.timestamp) {
+        warning("No timestamp for video or image", videoData.filename);
+        return null;
+    }
+
     const video = new Video(videoData);
+    video.fromMetadata = fromMetadata;
+    video.telemetryFlight = telemetryFlight;
     await video.create();
     return video;
 };
@@ -575,74 +1579,597 @@ class Pilot {
         assert(typeof name == "string");
 
         this.name = name;
-        this.index = Object.keys(state.pilots).length;
+        this.index = Object.values(state.pilots).reduce((index, pilot) => Math.max(index, pilot.index + 1), 0);
         this.flights = new Cesium.TimeIntervalCollection();
         this.videos = new Cesium.TimeIntervalCollection();
 
-        /* Each pilot gets a color, and keep them unique based on pilot string*/
-        this.color = new Cesium.Color(0, 0, 0);
-        Cesium.Color.fromCssColorString(colors.shift(), this.color);
+        /* Each pilot gets a color from the timeline.json, or one of their own */
+        const entry = state.registry.find(name);
+        const color = entry && entry.color ? Cesium.Color.fromCssColorString(entry.color) : null;
+        if (entry && entry.color && !color)
+            warning("Invalid color for pilot", name, ":", entry.color);
+        this.color = Cesium.Color.fromCssColorString(pilotColors.allocate(name, color && color.toCssHexString()));
+
+        /* The entities of flights and videos are children of this, to hide them together */
+        this.hidden = false;
+        this.entity = new Cesium.Entity();
 
         assert(!state.pilots[this.name]);
 
         const first = Object.values(state.pilots).at(0);
         state.pilots[this.name] = this;
 
-        /* A linked list between all pilots */
-        this.next = first || this;
+        /*
+         * A linked list between all pilots, starting from any pilot,
+         * then those in the timeline.json in order, then the others.
+         */
+        let next = first || this;
+        if (first) {
+            do {
+                if (next.rank() > this.rank())
+                    break;
+                next = next.next;
+            } while (next != first);
+        }
+        this.next = next;
         this.prev = this.next.prev || this;
         this.prev.next = this;
         this.next.prev = this;
     }
 
+    rank() {
+        if (!this.name)
+            return -1;
+        const order = state.registry.order(this.name);
+        return order < 0 ? Infinity : order;
+    }
+
     add(obj) {
         assert(obj);
         assert(obj instanceof Flight || obj instanceof Video);
         assert(obj.interval.data == obj);
 
-        /* Two interval collections depending on the type */
-        const intervals = obj instanceof Flight ? this.flights : this.videos;
+        /* Two interval collections depending on the type */
+        const intervals = obj instanceof Flight ? this.flights : this.videos;
+
+        /* Make sure this can be called multiple times */
+        intervals.removeInterval(obj.interval);
+        intervals.addInterval(obj.interval);
+
+        /* This governs the whole timeline, less hidden pilots */
+        if (this.visible())
+            state.intervals.addInterval(obj.interval.clone());
+
+        obj.pilot = this;
+        this.adopt(obj);
+    }
+
+    /* Entities of a flight or video show and hide with the pilot */
+    adopt(obj) {
+        (obj.entities || [ ]).forEach((entity) => {
+            if (!entity.parent)
+                entity.parent = this.entity;
+        });
+    }
+
+    remove(obj) {
+        assert(obj);
+        assert(obj instanceof Flight || obj instanceof Video);
+        assert(obj.interval.data == obj);
+
+        /* Two interval collections depending on the type */
+        const intervals = obj instanceof Flight ? this.flights : this.videos;
+        intervals.removeInterval(obj.interval);
+
+        obj.pilot = null;
+    }
+
+    /* Take a pilot without flights or videos out of the list */
+    destroy() {
+        assert(!this.flights.length && !this.videos.length);
+        this.prev.next = this.next;
+        this.next.prev = this.prev;
+        this.next = this.prev = this;
+        delete state.pilots[this.name];
+        pilotColors.release(this.name);
+
+        if (state.solo == this)
+            state.solo = null;
+    }
+
+    /* Whether the pilot is shown, see the legend */
+    visible() {
+        return state.solo ? state.solo == this : !this.hidden;
+    }
+
+    /* Show or hide the timeline ranges of a flight or video with the pilot */
+    showRanges(obj) {
+        const show = this.visible();
+        [ obj.range, obj.warningRange ].forEach((range) => range && range.setShow(show));
+    }
+
+    updateVisibility() {
+        this.entity.show = this.visible();
+        for (let i = 0; i < this.flights.length; i++) {
+            const flight = this.flights.get(i).data;
+            this.showRanges(flight);
+            flight.updateDisplay();
+        }
+        for (let i = 0; i < this.videos.length; i++)
+            this.showRanges(this.videos.get(i).data);
+    }
+};
+
+Pilot.ensure = function ensurePilot(name) {
+    assert(typeof name == "string");
+
+    /* The name a pilot is known by in the timeline.json */
+    name = name ? state.registry.resolve(name) : name;
+    const pilot = state.pilots[name] || new Pilot(name);
+    assert(state.pilots[name]);
+
+    return pilot;
+};
+
+/*
+ * Show a pilot under another name, which is kept in the pilots of the
+ * timeline.json. When another pilot has that name already, the two
+ * are merged, moving the flights and videos over.
+ */
+Pilot.rename = async function renamePilot(pilot, name) {
+    name = name.trim();
+    if (!pilot.name) {
+        warning("Choose a pilot to rename rather than any pilot");
+        return pilot;
+    }
+    if (!name || name == pilot.name)
+        return pilot;
+
+    const previous = pilot.name;
+    const entry = state.registry.rename(previous, name);
+    console.log("Renaming pilot", previous, "->", entry.name);
+
+    const items = [ ];
+    for (let i = 0; i < pilot.flights.length; i++)
+        items.push(pilot.flights.get(i).data);
+    for (let i = 0; i < pilot.videos.length; i++)
+        items.push(pilot.videos.get(i).data);
+
+    /* Flights shown as the pilot stay theirs */
+    items.forEach(function(item) {
+        if (item instanceof Flight && item.options.pilot == previous)
+            item.options.pilot = entry.name;
+    });
+
+    const target = state.pilots[entry.name];
+    if (!target) {
+        delete state.pilots[previous];
+        pilotColors.release(previous);
+        pilot.name = entry.name;
+        state.pilots[pilot.name] = pilot;
+        pilotColors.allocate(pilot.name, pilot.color.toCssHexString());
+        Pilot.change(state.pilot);
+        return pilot;
+    }
+
+    /* Made again, they now resolve to the other pilot */
+    for (const item of items) {
+        item.destroy();
+        await item.create();
+    }
+    pilot.destroy();
+    updateIntervals();
+
+    if (state.pilot == pilot)
+        Pilot.change(target);
+    return target;
+};
+
+/* Hide a pilot or show them again */
+Pilot.show = function showPilot(pilot, show) {
+    pilot.hidden = !show;
+    Pilot.updateVisibility();
+};
+
+/* Show only one pilot, or everyone again for null */
+Pilot.solo = function soloPilot(pilot) {
+    state.solo = pilot;
+    Pilot.updateVisibility();
+};
+
+Pilot.updateVisibility = function updatePilotVisibility() {
+    Object.values(state.pilots).forEach((pilot) => pilot.updateVisibility());
+    updateIntervals();
+
+    if (!state.pilot.visible())
+        Pilot.change(state.solo || nextPilot(state.pilot, true));
+    viewer.clock.onTick.raiseEvent(viewer.clock);
+};
+
+/* The next or previous pilot that's shown, or the same when there's none */
+function nextPilot(pilot, forward) {
+    let next = pilot;
+    do {
+        next = forward ? next.next : next.prev;
+    } while (next != pilot && !next.visible());
+    return next;
+}
+
+Pilot.change = function changePilot(pilot) {
+    // Assume that the onTick will change
+    state.pilot = pilot;
+    const element = document.getElementById("pilot");
+    element.innerText = pilot.name || "Any pilot";
+    element.style.color = pilot.color.toCssHexString();
+    console.log("Pilot", pilot.name);
+};
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor(seconds / 60) % 60;
+    return hours + ":" + String(minutes).padStart(2, "0") + ":" +
+        String(Math.floor(seconds) % 60).padStart(2, "0");
+}
+
+/* The flight shown in the statistics panel */
+let statisticsFlight = null;
+
+/* Names of the kinds of XC scoring */
+const SCORING_TYPES = {
+    free: "Free distance",
+    flat: "Flat triangle",
+    fai: "FAI triangle",
+};
+
+/* The altitude of a pilot's flight at a time, as text */
+function pilotAltitude(pilot, time) {
+    const flight = pilot.flights.findDataForIntervalContainingDate(time);
+    const altitude = flight ? flight.altitudeAt(time) : undefined;
+    return altitude === undefined ? "" : Math.round(altitude) + " m";
+}
+
+/* A row of the legend for a pilot */
+function legendRow(pilot) {
+    const row = document.createElement("tr");
+    row.classList.toggle("hidden", !pilot.visible());
+    row.classList.toggle("current", state.pilot == pilot);
+
+    const swatch = document.createElement("span");
+    swatch.className = "legend-swatch";
+    swatch.style.backgroundColor = pilot.color.toCssHexString();
+
+    const name = document.createElement("span");
+    name.className = "legend-name";
+    name.textContent = pilot.name || "No pilot";
+    name.title = "Track this pilot";
+    name.addEventListener("click", function() {
+        Pilot.change(pilot);
+        viewer.clock.onTick.raiseEvent(viewer.clock);
+    });
+
+    const counts = document.createElement("span");
+    counts.textContent = pilot.flights.length + " \u2708 " + pilot.videos.length + " \u25B6";
+    counts.title = "Flights and videos";
+
+    const altitude = document.createElement("span");
+    altitude.className = "legend-altitude";
+
+    const show = document.createElement("input");
+    show.type = "checkbox";
+    show.checked = !pilot.hidden;
+    show.title = "Show or hide this pilot";
+    show.addEventListener("change", () => Pilot.show(pilot, show.checked));
+
+    const solo = document.createElement("span");
+    solo.className = "legend-solo" + (state.solo == pilot ? " active" : "");
+    solo.textContent = "S";
+    solo.title = "Show only this pilot";
+    solo.addEventListener("click", () => Pilot.solo(state.solo == pilot ? null : pilot));
+
+    [ swatch, name, counts, altitude, show, solo ].forEach(function(child) {
+        const cell = document.createElement("td");
+        cell.appendChild(child);
+        row.appendChild(cell);
+    });
+    return row;
+}
+
+/*
+ * The legend of pilots, with their color, number of flights and
+ * videos, altitude now, and toggles to hide them or show them alone.
+ * The rows are only made again when something about the pilots changes.
+ */
+let legendKey = null;
+let legendUpdated = 0;
+function updateLegend(time) {
+    const element = document.getElementById("pilot-legend");
+    const rows = element.querySelector("tbody");
+
+    /* In the order they're cycled through, any pilot only with something on it */
+    const pilots = [ ];
+    let pilot = state.any;
+    do {
+        if (pilot.name || pilot.flights.length || pilot.videos.length)
+            pilots.push(pilot);
+        pilot = pilot.next;
+    } while (pilot != state.any);
+
+    element.style.display = pilots.length ? "block" : "none";
+    const key = JSON.stringify(pilots.map((pilot) => [ pilot.name, pilot.color.toCssHexString(),
+        pilot.flights.length, pilot.videos.length, pilot.hidden, pilot.visible(), state.pilot == pilot ]));
+    const now = performance.now();
+    if (key != legendKey) {
+        legendKey = key;
+        rows.replaceChildren(...pilots.map(legendRow));
+    } else if (now - legendUpdated < LEGEND_INTERVAL) {
+        return;
+    }
+
+    legendUpdated = now;
+    if (!element.classList.contains("collapsed")) {
+        pilots.forEach(function(pilot, i) {
+            rows.children[i].querySelector(".legend-altitude").textContent = pilotAltitude(pilot, time);
+        });
+    }
+}
+
+/* Show the statistics panel for a flight, or hide it when null */
+function showStatistics(flight) {
+    statisticsFlight = flight;
+    const element = document.getElementById("flight-stats");
+    const stats = flight ? flight.statistics : null;
+    if (!stats) {
+        element.style.display = "none";
+        return;
+    }
+
+    const rows = [
+        [ "Pilot", flight.pilot ? flight.pilot.name || "Any pilot" : "" ],
+        [ "Max altitude", stats.maxAltitude.toFixed(0) + " m" ],
+        [ "Min altitude", stats.minAltitude.toFixed(0) + " m" ],
+        [ "Altitude gain", stats.altitudeGain.toFixed(0) + " m" ],
+        [ "Max climb", stats.maxClimb.toFixed(1) + " m/s" ],
+        [ "Max sink", stats.maxSink.toFixed(1) + " m/s" ],
+        [ "Airtime", formatDuration(stats.airtime) ],
+        [ "Distance", (stats.distance / 1000).toFixed(1) + " km" ],
+        [ "Track distance", (stats.trackDistance / 1000).toFixed(1) + " km" ],
+        [ "Average speed", (stats.averageSpeed * 3.6).toFixed(1) + " km/h" ],
+    ];
+
+    /* Filled in later by the scoring worker */
+    const best = flight.scoring ? flight.scoring.best : null;
+    if (best) {
+        rows.push([ SCORING_TYPES[best.type], (best.distance / 1000).toFixed(1) + " km" ]);
+        rows.push([ "XC score", best.score.toFixed(1) + " pts" ]);
+    }
+
+    /* GPX files don't have a logger or a signature */
+    const integrity = flight.integrity;
+    if (integrity && integrity.manufacturer) {
+        rows.push([ "Logger", integrity.manufacturer + " " + (integrity.loggerId || "") ]);
+        rows.push([ "G record", integrity.signed ? "Present" : "Missing" ]);
+    }
+    const issues = integrity ? integrity.errors.concat(integrity.problems.map((problem) =>
+        new Date(problem.timestamp).toISOString().slice(11, 19) + " " + problem.message)) : [ ];
+    if (integrity)
+        rows.push([ "Integrity", issues.length ? "⚠ " + issues.length + " issues" : "OK" ]);
+
+    const table = document.createElement("table");
+    rows.forEach(function([ label, value ]) {
+        const row = table.insertRow();
+        row.insertCell().innerText = label;
+        row.insertCell().innerText = value;
+    });
+
+    /* The first few issues, each on a row of its own */
+    const listed = issues.slice(0, INTEGRITY_LIST);
+    if (issues.length > INTEGRITY_LIST)
+        listed.push("and " + (issues.length - INTEGRITY_LIST) + " more");
+    listed.forEach(function(issue) {
+        const cell = table.insertRow().insertCell();
+        cell.colSpan = 2;
+        cell.className = "integrity-issue";
+        cell.innerText = issue;
+    });
+
+    /* Filled in by showTaskProgress() as the clock changes */
+    if (flight.task) {
+        [ "task-progress", "task-reached" ].forEach(function(id) {
+            const row = table.insertRow();
+            row.insertCell().innerText = id == "task-progress" ? "Task" : "Reached";
+            row.insertCell().id = id;
+        });
+    }
+
+    element.replaceChildren(table);
+    showTaskProgress(flight, viewer.clock.currentTime);
+    element.style.display = "block";
+}
+
+/* Update how far along the task the flight is at the time */
+function showTaskProgress(flight, time) {
+    const progress = document.getElementById("task-progress");
+    const reached = document.getElementById("task-reached");
+    if (!flight || !flight.task || !progress || !reached)
+        return;
+
+    let location = null;
+    const position = flight.positionAt(time);
+    if (position) {
+        const carto = Cesium.Cartographic.fromCartesian(position);
+        location = {
+            latitude: Cesium.Math.toDegrees(carto.latitude),
+            longitude: Cesium.Math.toDegrees(carto.longitude),
+        };
+    }
+
+    const turnpoints = flight.task.turnpoints;
+    const timestamp = Cesium.JulianDate.toDate(time).valueOf();
+    const result = taskProgress(turnpoints, flight.task.reached, location, timestamp);
+
+    progress.innerText = (result.distance / 1000).toFixed(1) + " / " + (result.total / 1000).toFixed(1) + " km";
+    reached.innerText = result.reached + " / " + turnpoints.length +
+        (result.reached ? " (" + turnpoints[result.reached - 1].name + ")" : "");
+}
+
+/* Update the level of detail of all flights for the camera */
+function updateDetail() {
+    Object.values(state.pilots).forEach(function(pilot) {
+        for (let i = 0; i < pilot.flights.length; i++)
+            pilot.flights.get(i).data.updateDetail();
+    });
+}
+
+/* Frames rendered since the debug overlay was last updated, and when */
+let debugFrames = 0;
+let debugSince = 0;
+
+/* Show the sample counts and memory use in the debug overlay */
+function showDebug() {
+    const now = performance.now();
+    const seconds = Math.max(0.001, (now - debugSince) / 1000);
+
+    let flights = 0;
+    let fixes = 0;
+    let samples = 0;
+    let vertices = 0;
+    const levels = DETAIL_TOLERANCES.map(() => 0);
+
+    Object.values(state.pilots).forEach(function(pilot) {
+        for (let i = 0; i < pilot.flights.length; i++) {
+            const flight = pilot.flights.get(i).data;
+            flights++;
+            fixes += flight.igcData.fixes.length;
+            samples += flight.prepared.levels[flight.level].length;
+            if (flight.varioTrack)
+                vertices += flight.varioTimes.length * 2;
+            levels[flight.level]++;
+        }
+    });
+
+    const rows = [
+        [ "Frame rate", (debugFrames / seconds).toFixed(0) + " fps" ],
+        [ "Flights", flights ],
+        [ "Fixes", fixes ],
+        [ "Path samples", samples + (fixes ? " (" + (100 * samples / fixes).toFixed(1) + "%)" : "") ],
+        [ "Vario vertices", vertices ],
+        [ "Detail levels", levels.map((count, level) => DETAIL_TOLERANCES[level] + "m: " + count).join(", ") ],
+    ];
+
+    /* Only Chrome has this */
+    if (performance.memory) {
+        rows.push([ "Heap", (performance.memory.usedJSHeapSize / 1048576).toFixed(0) + " / " +
+            (performance.memory.jsHeapSizeLimit / 1048576).toFixed(0) + " MB" ]);
+    }
 
-        /* Make sure this can be called multiple times */
-        intervals.removeInterval(obj.interval);
-        intervals.addInterval(obj.interval);
+    const table = document.createElement("table");
+    rows.forEach(function([ label, value ]) {
+        const row = table.insertRow();
+        row.insertCell().innerText = label;
+        row.insertCell().innerText = value;
+    });
 
-        /* This governs the whole timeline */
-        state.intervals.addInterval(obj.interval.clone());
+    document.getElementById("debug-overlay").replaceChildren(table);
+    debugFrames = 0;
+    debugSince = now;
+}
 
-        obj.pilot = this;
+/*
+ * Access to parts of a file for media.js. Local files are sliced,
+ * others fetched with range requests so big videos aren't downloaded.
+ * Resolves to null if the server doesn't do ranges.
+ */
+async function mediaReader(path) {
+    const file = state.files[state.folder ? state.folder + "/" + path : path];
+    if (file) {
+        return {
+            size: file.size,
+            read: async (offset, length) => new Uint8Array(await file.slice(offset, offset + length).arrayBuffer()),
+        };
     }
 
-    remove(obj) {
-        assert(obj);
-        assert(obj instanceof Flight || obj instanceof Video);
-        assert(obj.interval.data == obj);
+    const url = qualifiedUrl(path);
+    async function read(offset, length) {
+        const response = await fetch(url, { headers: { Range: "bytes=" + offset + "-" + (offset + length - 1) } });
+        if (response.status != 206) {
+            if (response.body)
+                response.body.cancel();
+            return null;
+        }
+        return { response: response, bytes: new Uint8Array(await response.arrayBuffer()) };
+    }
 
-        /* Two interval collections depending on the type */
-        const intervals = obj instanceof Flight ? this.flights : this.videos;
-        intervals.removeInterval(obj.interval);
+    /* Like bytes 0-0/12345 */
+    const first = await read(0, 1);
+    const range = first ? /\/(\d+)$/.exec(first.response.headers.get("Content-Range") || "") : null;
+    if (!range)
+        return null;
+
+    return {
+        size: parseInt(range[1], 10),
+        read: async (offset, length) => {
+            const part = await read(offset, length);
+            return part ? part.bytes : null;
+        },
+    };
+}
 
-        obj.pilot = null;
+/* The GPS telemetry of a GoPro video, see gpmf.js, or null without */
+async function mediaTelemetry(videoData) {
+    try {
+        const reader = await mediaReader(videoData.filename);
+        return reader ? await mp4Telemetry(reader.read, reader.size) : null;
+    } catch (ex) {
+        warning("Couldn't read the telemetry of", videoData.filename, ex);
+        return null;
     }
-};
+}
 
-Pilot.ensure = function ensurePilot(name) {
-    assert(typeof name == "string");
+/* The flight logs of a pilot, or of everyone for videos without a pilot */
+function loggedFlights(name) {
+    const pilots = name ? [ state.pilots[state.registry.resolve(name)] ].filter((pilot) => pilot) : Object.values(state.pilots);
+    const flights = [ ];
+    pilots.forEach(function(pilot) {
+        for (let i = 0; i < pilot.flights.length; i++)
+            flights.push(pilot.flights.get(i).data);
+    });
+    return flights.filter((flight) => !flight.telemetry);
+}
 
-    const pilot = state.pilots[name] || new Pilot(name);
-    assert(state.pilots[name]);
+/*
+ * When and where a photo or video was taken from its metadata, with the
+ * time corrected by the clock offset of its camera in the timeline.json.
+ * Resolves to the timestamp, camera and position for the videoData, with
+ * null for those not found, or null if the file can't be read.
+ */
+async function mediaMetadata(videoData) {
+    try {
+        const reader = await mediaReader(videoData.filename);
+        if (!reader)
+            return null;
 
-    return pilot;
-};
+        const info = await mediaInfo(reader.read, reader.size, guessMimeType(videoData.filename, videoData.kind));
+        if (info.timestamp === null)
+            return { timestamp: null, camera: info.camera, position: info.position };
 
-Pilot.change = function changePilot(pilot) {
-    // Assume that the onTick will change
-    state.pilot = pilot;
-    const element = document.getElementById("pilot");
-    element.innerText = pilot.name || "Any pilot";
-    element.style.color = pilot.color.toCssHexString();
-    console.log("Pilot", pilot.name);
-};
+        /* Without a timezone in the file, assume the one of the timeline */
+        let offset = info.offset;
+        if (offset === null) {
+            offset = typeof state.timezone == "number" ? state.timezone :
+                -new Date(info.timestamp).getTimezoneOffset() * 60;
+        }
+
+        /* The camera can be set in the timeline.json when it's not in the file */
+        const camera = videoData.camera || info.camera;
+        const correction = camera && camera in state.cameras ? parseTimezone(state.cameras[camera]) || 0 : 0;
+
+        const timestamp = new Date(info.timestamp - (offset + correction) * 1000);
+        return { timestamp: timestamp.toISOString(), camera: camera || null, position: info.position };
+    } catch (ex) {
+        warning("Couldn't read the metadata of", videoData.filename, ex);
+        return null;
+    }
+}
 
 function qualifiedUrl(path) {
     if (state.folder)
@@ -676,11 +2203,30 @@ async function load(folder) {
     /* Number of seconds to show flight trail behind active spot */
     state.trailing = parseDuration(metadata.trailing);
 
+    /* Don't trim the ground time before takeoff and after landing */
+    state.fullLog = !!metadata.fullLog;
+
+    /* How flights turn fix altitudes into heights, can be changed per flight */
+    state.altitude = metadata.altitude || null;
+    if (state.altitude && !ALTITUDE_MODES.includes(state.altitude))
+        warning("Invalid altitude mode in timeline.json:", state.altitude);
+
+    /* How far each camera's clock is ahead, like "+02:00" or in seconds */
+    state.cameras = metadata.cameras || { };
+
+    /* Names, colors and aliases of pilots, see pilots.js */
+    if (metadata.pilots && !Array.isArray(metadata.pilots))
+        warning("Invalid pilots in timeline.json");
+    (Array.isArray(metadata.pilots) ? metadata.pilots : [ ]).forEach(function(entry) {
+        if (!state.registry.add(entry))
+            warning("Invalid pilot in timeline.json:", JSON.stringify(entry));
+    });
+
     const flights = metadata.flights || [];
     const videos = metadata.videos || [];
 
-    for (let i = 0; i < flights.length; i++)
-        await Flight.load(flights[i]);
+    /* Flights are parsed in parallel, and each shows up as soon as it's ready */
+    await Promise.all(Flight.addAll(flights.map((flight) => Flight.parse(flight))));
 
     for (let i = 0; i < videos.length; i++)
         await Video.load(videos[i]);
@@ -694,12 +2240,17 @@ function save() {
         videos: [],
         timezone: state.timezone,
         trailing: state.trailing,
+        fullLog: state.fullLog || undefined,
+        altitude: state.altitude || undefined,
+        cameras: Object.keys(state.cameras).length ? state.cameras : undefined,
+        pilots: state.registry.save(),
     };
 
     Object.values(state.pilots).forEach(function(pilot) {
         for(let i = 0; i < pilot.flights.length; i++) {
             const item = pilot.flights.get(i).data.save();
-            data.flights.push(item);
+            if (item)
+                data.flights.push(item);
         }
         for(let i = 0; i < pilot.videos.length; i++) {
             const item = pilot.videos.get(i).data.save();
@@ -710,19 +2261,280 @@ function save() {
     return JSON.stringify(data, null, 4);
 }
 
-function loaded(last) {
-    let current = null;
+/* The contents of a file the timeline uses, local or from the server */
+async function fileBlob(path) {
+    const file = state.files[state.folder ? state.folder + "/" + path : path];
+    if (file)
+        return file;
+
+    const response = await fetch(qualifiedUrl(path));
+    if (!response.ok)
+        throw new Error(response.status + " " + response.statusText);
+    return response.blob();
+}
+
+/*
+ * A ZIP of the timeline.json and the files it uses, which opens
+ * anywhere. Files from other sites are left as links.
+ */
+async function saveArchive() {
+    const json = save();
+    const timeline = JSON.parse(json);
+    const paths = new Set(timeline.flights.map((flight) => typeof flight == "string" ? flight : flight.filename)
+        .concat(timeline.videos.map((video) => video.filename)));
+
+    const entries = [ { name: "timeline.json", data: json } ];
+    for (const path of paths) {
+        if (!path || path.includes("://"))
+            continue;
+        try {
+            entries.push({ name: path, data: await fileBlob(path) });
+        } catch (ex) {
+            warning("Couldn't add file to the archive", path, ex);
+        }
+    }
+
+    return createZipBlob(entries);
+}
+
+/* Collect the flights and videos with their positions for export.js */
+function exportTimeline() {
+    const timeline = {
+        name: state.folder || "Refly",
+        flights: [ ],
+        videos: [ ],
+        multiplier: DEFAULT_RATE,
+    };
+
+    function cartographic(position, result) {
+        const carto = Cesium.Cartographic.fromCartesian(position);
+        return Object.assign(result, {
+            longitude: Cesium.Math.toDegrees(carto.longitude),
+            latitude: Cesium.Math.toDegrees(carto.latitude),
+            height: carto.height,
+        });
+    }
 
-    /* Recreate the global intervals, videos overlay flights */
-    state.intervals = new Cesium.TimeIntervalCollection();
     Object.values(state.pilots).forEach(function(pilot) {
+        const color = pilot.color.toCssHexString();
+
+        for (let i = 0; i < pilot.flights.length; i++) {
+            const flight = pilot.flights.get(i).data;
+            const interval = flight.interval;
+            const samples = [ ];
+
+            /* Use the full resolution fixes, not the simplified path */
+            flight.igcData.fixes.forEach(function(fix, index) {
+                const time = parseTimestamp(fix.timestamp);
+                if (Cesium.JulianDate.lessThan(time, interval.start) ||
+                    Cesium.JulianDate.greaterThan(time, interval.stop))
+                    return;
+                samples.push({
+                    time: Cesium.JulianDate.toIso8601(time, 0),
+                    longitude: fix.longitude,
+                    latitude: fix.latitude,
+                    height: flight.prepared.heights[index],
+                });
+            });
+
+            timeline.flights.push({ name: flight.name, pilot: pilot.name, color: color, samples: samples });
+        }
+
+        for (let i = 0; i < pilot.videos.length; i++) {
+            const video = pilot.videos.get(i).data;
+            const item = {
+                name: video.name,
+                pilot: pilot.name,
+                color: color,
+                start: Cesium.JulianDate.toIso8601(video.interval.start, 0),
+                stop: Cesium.JulianDate.toIso8601(video.interval.stop, 0),
+            };
+
+            const billboard = video.entities[0];
+            const position = billboard ? billboard.position.getValue(video.interval.start) : null;
+            if (position)
+                cartographic(position, item);
+
+            timeline.videos.push(item);
+        }
+    });
+
+    return timeline;
+}
+
+/* Have the browser download a blob as a file */
+function download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    anchor.click();
+    URL.revokeObjectURL(url);
+}
+
+/* Recreate the global intervals, thermals and then videos overlay flights */
+function updateIntervals() {
+    const pilots = Object.values(state.pilots).filter((pilot) => pilot.visible());
+    state.intervals = new Cesium.TimeIntervalCollection();
+    pilots.forEach(function(pilot) {
         for(let i = 0; i < pilot.flights.length; i++)
             state.intervals.addInterval(pilot.flights.get(i));
     });
-    Object.values(state.pilots).forEach(function(pilot) {
+    pilots.forEach(function(pilot) {
+        for(let i = 0; i < pilot.flights.length; i++) {
+            pilot.flights.get(i).data.thermals.forEach(function(thermal) {
+                state.intervals.addInterval(thermal.interval);
+            });
+        }
+    });
+    pilots.forEach(function(pilot) {
         for(let i = 0; i < pilot.videos.length; i++)
             state.intervals.addInterval(pilot.videos.get(i));
     });
+}
+
+/*
+ * The commands for timeline edits, see history.js. Each one leaves
+ * the pilots, state.intervals and so save() consistent when it runs
+ * or is undone, and works on the same flight or video object.
+ */
+function editCommand(name, obj, run, undo) {
+    return { name: name + " " + obj.name, target: obj, run: run, undo: undo };
+}
+
+/* Put a flight or video back on the timeline after it was destroyed */
+async function restore(obj) {
+    /* The flight from the GPS of a video comes and goes with it */
+    const flight = obj.telemetryFlight;
+    if (flight && !flight.interval)
+        flight.create();
+    await obj.create();
+    updateIntervals();
+}
+
+/* A pilot with nothing left goes too, and their color is free for others */
+function remove(obj) {
+    const flight = obj.telemetryFlight;
+    [ obj ].concat(flight && flight.interval ? [ flight ] : [ ]).forEach(function(item) {
+        const pilot = item.pilot;
+        item.destroy();
+        if (pilot.name && !pilot.flights.length && !pilot.videos.length) {
+            if (state.pilot == pilot)
+                Pilot.change(state.any);
+            pilot.destroy();
+        }
+    });
+    updateIntervals();
+}
+
+function addCommand(obj) {
+    return editCommand("Add", obj, () => restore(obj), () => remove(obj));
+}
+
+function deleteCommand(obj) {
+    return editCommand("Delete", obj, () => remove(obj), () => restore(obj));
+}
+
+function retimeCommand(obj, seconds) {
+    return editCommand("Retime", obj, () => obj.retime(seconds), () => obj.retime(-seconds));
+}
+
+function pilotCommand(obj, name) {
+    const previous = obj.pilot.name;
+    return editCommand("Change pilot of", obj, () => obj.setPilot(name), () => obj.setPilot(previous));
+}
+
+function rateCommand(video, previous, rate) {
+    return editCommand("Change rate of", video, () => video.setRate(rate), () => video.setRate(previous));
+}
+
+/* Several commands as one, like adding all the files dropped at once */
+function batchCommand(name, commands) {
+    return {
+        name: name,
+        run: async function() {
+            for (const command of commands)
+                await command.run();
+        },
+        undo: async function() {
+            for (const command of commands.slice().reverse())
+                await command.undo();
+        },
+    };
+}
+
+function trimCommand(video, inpoint, outpoint) {
+    const previous = [ video.inpoint, video.outpoint ];
+    return editCommand("Trim", video, () => video.trim(inpoint, outpoint), () => video.trim(...previous));
+}
+
+/* Run an edit so it can be undone */
+function runEdit(command) {
+    commitRates();
+    return timelineHistory.run(command).then(function() {
+        viewer.clock.onTick.raiseEvent(viewer.clock);
+    }).catch(function(ex) {
+        failure("Couldn't " + command.name.toLowerCase(), ex);
+    });
+}
+
+/* Turning the dial while a video plays changes its rate, one undo for all of it */
+function commitRate(video) {
+    const previous = video.settle();
+    if (previous !== null)
+        timelineHistory.record(rateCommand(video, previous, video.rate));
+}
+
+/*
+ * A video can be dialled while it plays, which is only recorded when
+ * it stops. Edits, undo and redo come after that, so record it first.
+ */
+function commitRates() {
+    Object.values(state.pilots).forEach(function(pilot) {
+        for (let i = 0; i < pilot.videos.length; i++)
+            commitRate(pilot.videos.get(i).data);
+    });
+}
+
+/* The files in a dropped directory and the directories in it, less hidden ones */
+async function directoryFiles(entry) {
+    const reader = entry.createReader();
+    const files = [ ];
+
+    /* Entries come in batches until an empty one */
+    for (;;) {
+        const entries = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!entries.length)
+            return files;
+        for (const child of entries) {
+            if (!child.name.startsWith("."))
+                files.push(...await entryFiles(child));
+        }
+    }
+}
+
+async function entryFiles(entry) {
+    if (entry.isDirectory)
+        return directoryFiles(entry);
+    return [ await new Promise((resolve, reject) => entry.file(resolve, reject)) ];
+}
+
+/*
+ * Resolves to the files dropped, including those in dropped directories.
+ * The entries can only be had during the drop event, so call this then.
+ */
+function droppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || [ ]).filter((item) => item.kind == "file");
+    const entries = items.map((item) => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null);
+    if (!entries.length || entries.includes(null))
+        return Promise.resolve(Array.from(dataTransfer.files || [ ]));
+    return Promise.all(entries.map(entryFiles)).then((lists) => lists.flat());
+}
+
+function loaded(last) {
+    let current = null;
+
+    updateIntervals();
 
     /* Set up the timeline */
     if (state.intervals.length) {
@@ -777,6 +2589,28 @@ function initialize() {
     /* We initially have a any pilot */
     Pilot.change(state.any = Pilot.ensure(""));
 
+    /* Switch the level of detail of flight paths as the camera moves */
+    viewer.camera.percentageChanged = 0.2;
+    viewer.camera.changed.addEventListener(updateDetail);
+
+    /* The debug overlay, toggled with F2 */
+    let debugInterval = null;
+    viewer.scene.postRender.addEventListener(function() {
+        debugFrames++;
+    });
+    function toggleDebug() {
+        const element = document.getElementById("debug-overlay");
+        if (debugInterval) {
+            window.clearInterval(debugInterval);
+            debugInterval = null;
+            element.style.display = "none";
+        } else {
+            debugInterval = window.setInterval(showDebug, 1000);
+            showDebug();
+            element.style.display = "block";
+        }
+    }
+
     /* Change the tracked flight */
     function changeFlight(flight) {
         if (flight && flight.tracker) {
@@ -788,6 +2622,7 @@ function initialize() {
 
         const old = currentFlight ? currentFlight.name : null;
         currentFlight = flight;
+        showStatistics(flight);
 
         console.log("Flight", old, "->", flight ? flight.name : null);
     }
@@ -796,6 +2631,12 @@ function initialize() {
     var visible = true;
 
     function hideCesium() {
+        /* Picture in picture keeps the globe */
+        if (state.pictureInPicture) {
+            displayCesium();
+            return;
+        }
+
         if (visible) {
             document.getElementById("cesiumContainer").style.visibility = "hidden";
             viewer.cesiumWidget.targetFrameRate = 1;
@@ -813,7 +2654,7 @@ function initialize() {
             window.clearTimeout(timeout);
             timeout = null;
         }
-        if (currentVideo)
+        if (currentVideo && !state.pictureInPicture)
             timeout = window.setTimeout(hideCesium, 1000);
         if (!visible) {
             document.getElementById("cesiumContainer").style.visibility = "visible";
@@ -833,10 +2674,81 @@ function initialize() {
         } else {
             displayCesium();
         }
+        updateLayout();
+        showVideoRate();
 
         console.log("Video", old, "->", video ? video.name : null);
     }
 
+    /* The rate control shows while a video plays */
+    const rateSelect = document.getElementById("video-rate");
+    function showVideoRate() {
+        rateSelect.style.display = currentVideo ? "block" : "none";
+        if (!currentVideo || rateSelect.value == String(currentVideo.rate))
+            return;
+
+        /* Rates from the dial that aren't ticks */
+        if (!DIAL_TICKS.includes(currentVideo.rate)) {
+            Array.from(rateSelect.querySelectorAll(".custom")).forEach((option) => option.remove());
+            const option = new Option(currentVideo.rate + "×", String(currentVideo.rate));
+            option.className = "custom";
+            rateSelect.add(option);
+        }
+        rateSelect.value = String(currentVideo.rate);
+    }
+
+    DIAL_TICKS.forEach((tick) => rateSelect.add(new Option(tick + "×", String(tick))));
+    rateSelect.addEventListener("change", function() {
+        if (!currentVideo)
+            return;
+        commitRate(currentVideo);
+        const rate = parseFloat(rateSelect.value);
+        if (rate != currentVideo.rate)
+            runEdit(rateCommand(currentVideo, currentVideo.rate, rate));
+        viewer.clock.multiplier = rate * (viewer.clock.multiplier < 0 ? -1 : 1);
+    });
+
+    /* Lay out the video and the globe for picture in picture, see style.css */
+    function updateLayout() {
+        const mode = currentVideo ? state.pictureInPicture : false;
+        document.body.classList.toggle("pip-video", mode == "video");
+        document.body.classList.toggle("pip-globe", mode == "globe");
+        document.getElementById("pip-handle").style.display = mode ? "block" : "none";
+    }
+
+    Cesium.knockout.getObservable(state, 'pictureInPicture').subscribe(function() {
+        if (currentVideo)
+            hideCesium();
+        updateLayout();
+    });
+
+    /* Resize the inset by dragging its top left corner */
+    const handle = document.getElementById("pip-handle");
+    handle.addEventListener("pointerdown", function(ev) {
+        const style = window.getComputedStyle(document.body);
+        const width = parseFloat(style.getPropertyValue("--pip-width"));
+        const height = parseFloat(style.getPropertyValue("--pip-height"));
+        const x = ev.clientX;
+        const y = ev.clientY;
+
+        function move(ev) {
+            const maximum = [ window.innerWidth - 20, window.innerHeight - 80 ];
+            document.body.style.setProperty("--pip-width",
+                Math.max(PIP_MINIMUM[0], Math.min(maximum[0], width + x - ev.clientX)) + "px");
+            document.body.style.setProperty("--pip-height",
+                Math.max(PIP_MINIMUM[1], Math.min(maximum[1], height + y - ev.clientY)) + "px");
+        }
+        function up() {
+            handle.removeEventListener("pointermove", move);
+            handle.removeEventListener("pointerup", up);
+        }
+
+        handle.setPointerCapture(ev.pointerId);
+        handle.addEventListener("pointermove", move);
+        handle.addEventListener("pointerup", up);
+        ev.preventDefault();
+    });
+
     window.addEventListener("mousemove", function() {
         displayCesium();
         viewer.clock.onTick.raiseEvent(viewer.clock);
@@ -1014,17 +2926,34 @@ function initialize() {
         } else if (e.keyCode == 35) {
             viewer.clock.currentTime = viewer.clock.stopTime;
 
-        /* PageUp and Page Down */
+        /* PageUp and Page Down, with Shift taking the current video or flight along */
         } else if (e.keyCode == 33 || e.keyCode == 34) {
-            if (e.keyCode == 33)
-                Pilot.change(state.pilot.prev);
-            else
-                Pilot.change(state.pilot.next);
+            const pilot = nextPilot(state.pilot, e.keyCode == 34);
+            const item = e.shiftKey ? currentVideo || currentFlight : null;
+            if (item && item.pilot != pilot)
+                runEdit(pilotCommand(item, pilot.name));
+            Pilot.change(pilot);
+
+        /* Ctrl+Z and Ctrl+Y or Ctrl+Shift+Z: undo and redo timeline edits */
+        } else if ((e.ctrlKey || e.metaKey) && (e.keyCode == 90 || e.keyCode == 89)) {
+            const redo = e.keyCode == 89 || e.shiftKey;
+            commitRates();
+            (redo ? timelineHistory.redo() : timelineHistory.undo()).then(function(command) {
+                console.log(redo ? "Redo" : "Undo", command ? command.name : "nothing");
+                viewer.clock.onTick.raiseEvent(viewer.clock);
+            }).catch(function(ex) {
+                failure("Couldn't " + (redo ? "redo" : "undo"), ex);
+            });
+            e.preventDefault();
 
         /* Left or Right arrow keys (and optionally Ctrl modifier) */
         } else if (e.keyCode == 37 || e.keyCode == 39) {
             if (state.intervals.length)
                 jumpTimeline(e.keyCode == 39, e.ctrlKey, e.shiftKey);
+
+        /* The F2 key */
+        } else if (e.keyCode == 113) {
+            toggleDebug();
         }
 
         viewer.clock.onTick.raiseEvent(viewer.clock);
@@ -1038,17 +2967,30 @@ function initialize() {
             e.preventDefault();
             return true;
 
-        /* Delete: delete the object */
+        /* I and O: play the video from or to here, with Shift all of it */
+        } else if (currentVideo && (e.keyCode == 105 || e.keyCode == 111 || e.keyCode == 73 || e.keyCode == 79)) {
+            const video = currentVideo;
+            const at = video.position(viewer.clock.currentTime);
+            if (e.keyCode == 105)
+                runEdit(trimCommand(video, at, video.outpoint));
+            else if (e.keyCode == 111)
+                runEdit(trimCommand(video, video.inpoint, at));
+            else if (e.keyCode == 73)
+                runEdit(trimCommand(video, 0, video.outpoint));
+            else
+                runEdit(trimCommand(video, video.inpoint, null));
+
+        /* Delete: delete the object, which can be undone */
         } else if (e.keyCode == 127) {
             console.log("delete", currentVideo, currentFlight);
             if (currentVideo) {
                 const video = currentVideo;
                 changeVideo(null);
-                video.destroy();
+                runEdit(deleteCommand(video));
             } else if (currentFlight) {
                 const flight = currentFlight;
                 changeFlight(null);
-                flight.destroy();
+                runEdit(deleteCommand(flight));
             }
         }
     }, true);
@@ -1073,6 +3015,18 @@ function initialize() {
         return formatIso8601(date).slice(11, 16);
     };
 
+    /* Dragged ranges snap to the start and stop of flights and videos */
+    timelineOverlay.snapTimes = function() {
+        const times = [ ];
+        Object.values(state.pilots).filter((pilot) => pilot.visible()).forEach(function(pilot) {
+            [ pilot.flights, pilot.videos ].forEach(function(intervals) {
+                for (let i = 0; i < intervals.length; i++)
+                    times.push(intervals.get(i).start, intervals.get(i).stop);
+            });
+        });
+        return times;
+    };
+
     viewer.selectedEntityChanged.addEventListener(function(entity) {
         if (!entity || !entity.data)
             return;
@@ -1091,7 +3045,7 @@ function initialize() {
         }
 
         /* And jump to the entity */
-        if (obj instanceof Video ||
+        if (obj instanceof Video || obj instanceof Thermal ||
             !Cesium.TimeInterval.contains(interval, viewer.clock.currentTime)) {
             viewer.clock.currentTime = interval.start;
             change = true;
@@ -1136,7 +3090,7 @@ function initialize() {
             video = vint ? vint.data : null;
 
             /* Look for videos on the any pilot regardless of  */
-            if (!video && pilot != any) {
+            if (!video && pilot != any && any.visible()) {
                 const xint = any.videos.findIntervalContainingDate(current);
                 video = xint ? xint.data : null;
             }
@@ -1148,15 +3102,28 @@ function initialize() {
         /* Do we need to change the flight, or clear it? */
         if (flight != currentFlight)
             changeFlight(flight);
+        else if (flight)
+            showTaskProgress(flight, current);
 
         /* Do we need to change the video, or clear it? */
         if (video != currentVideo)
             changeVideo(video);
+        else if (video)
+            showVideoRate();
 
         /* If in seamless mode, and no video/flight displayed then jump to next one */
         if (!found && clock.shouldAnimate && state.skipGaps && state.intervals.length)
             jumpTimeline(clock.multiplier > 0 ? true : false, true);
 
+        updateLegend(current);
+
+        /* The vario coloured tracks are drawn up to now like the paths */
+        if (state.varioColors) {
+            Object.values(state.pilots).forEach(function(pilot) {
+                for (let i = 0; i < pilot.flights.length; i++)
+                    pilot.flights.get(i).data.updateVario(current);
+            });
+        }
     });
 
     var dragEntity = null;
@@ -1218,52 +3185,93 @@ function initialize() {
     window.addEventListener("dragover", dragEvent);
     window.addEventListener("dragleave", dragEvent);
 
-    function dropOne(ev) {
-        assert(ev.dataTransfer && ev.dataTransfer.files);
-        assert(ev.dataTransfer.files.length == 1);
-
-        const file = ev.dataTransfer.files[0];
-        const item = ev.dataTransfer.items[0];
-        const kind = item.kind || "";
-        const url = URL.createObjectURL(file);
-        state.blobs[file.name] = url;
-
-        let promise = null;
-        const type = guessMimeType(file.name, kind);
-        if (type.startsWith("image/") || type.startsWith("video/")) {
-            const coordinates = currentFlight ? null : pixelToLocation(ev.clientX, ev.clientY);
-            promise = Video.load(Object.assign({
-                filename: file.name,
-                pilot: state.pilot.name,
-                timestamp: Cesium.JulianDate.toIso8601(viewer.clock.currentTime, 0),
-                kind: kind,
-            }, coordinates));
-
-        } else if (type == "application/x-igc") {
-            promise = Flight.load(file.name);
-
-        } else {
-            warning ("Couldn't load unsupported dropped item:", file.name);
-        }
+    /*
+     * Load dropped files, the flights first so that GoPro videos can
+     * line up with them, and then the videos and images. Those without
+     * a time or place of their own go where they were dropped.
+     */
+    async function dropFiles(files, ev) {
+        const coordinates = currentFlight ? null : pixelToLocation(ev.clientX, ev.clientY);
+        const defaults = Object.assign({ timestamp: Cesium.JulianDate.toIso8601(viewer.clock.currentTime, 0) }, coordinates);
+        const pilot = state.pilot.name;
+        const flights = [ ];
+        const videos = [ ];
+        const added = [ ];
+        const failed = [ ];
+
+        files.forEach(function(file) {
+            const type = guessMimeType(file.name, file.type || undefined);
+            if (FLIGHT_TYPES.includes(type))
+                flights.push(file);
+            else if (type.startsWith("image/") || type.startsWith("video/"))
+                videos.push(file);
+            else
+                return failed.push(file.name + " (unsupported)");
+            state.blobs[file.name] = URL.createObjectURL(file);
+            state.files[file.name] = file;
+        });
 
-        if (promise) {
-            promise.then(function(obj) {
-                loaded(obj);
-            }).catch(function(ex) {
-                failure("Couldn't load file", file.name, ex);
+        /* What was added and what wasn't, in the order dropped */
+        function result(files, results) {
+            results.forEach(function(result, i) {
+                if (result.status == "fulfilled" && result.value) {
+                    added.push(result.value);
+                } else {
+                    failed.push(files[i].name);
+                    if (result.reason)
+                        console.error("Couldn't load file", files[i].name, result.reason);
+                }
             });
         }
+
+        /* All load in parallel, the videos once the flights are added to line up with */
+        result(flights, await Promise.allSettled(Flight.addAll(flights.map((file) => Flight.parse(file.name)))));
+        result(videos, await Promise.allSettled(videos.map((file) => Video.load({
+            filename: file.name,
+            pilot: pilot,
+            kind: file.type || undefined,
+        }, defaults))));
+
+        const summary = "Added " + added.length + " of " + files.length + " dropped files: " +
+            (added.map((obj) => obj.name).join(", ") || "none");
+        if (failed.length)
+            warning(summary + ". Couldn't load:", failed.join(", "));
+        else
+            notice(summary);
+
+        if (!added.length)
+            return;
+
+        /* Undone all together */
+        if (added.length == 1)
+            timelineHistory.record(addCommand(added[0]));
+        else
+            timelineHistory.record(batchCommand("Add " + added.length + " files", added.map(addCommand)));
+
+        /* Fit the timeline once for all of them */
+        loaded(added.length == 1 ? added[0] : null);
     }
 
     window.addEventListener("drop", function(ev) {
         dragEvent(ev);
 
-        if (!ev.dataTransfer || !ev.dataTransfer.files || !ev.dataTransfer.files.length)
-            warning("Drag and drop a flight, video or image to add");
-        else if (ev.dataTransfer.files.length == 1)
-            dropOne(ev);
-        else
-            warning("Don't drop multiple files at once");
+        if (!ev.dataTransfer || !ev.dataTransfer.files || !ev.dataTransfer.files.length) {
+            warning("Drag and drop flights, videos, images or a folder of them to add");
+        } else {
+            droppedFiles(ev.dataTransfer).then(function(files) {
+                /* Archives are opened like a folder */
+                files.filter(isArchive).forEach(function(file) {
+                    openArchive(file).catch(function(ex) {
+                        failure("Couldn't open archive", file.name, ex);
+                    });
+                });
+                files = files.filter((file) => !isArchive(file));
+                if (files.length)
+                    return dropFiles(files, ev);
+            }).catch(function(ex) {
+                failure("Couldn't load dropped files", ex);
+            });
+        }
 
         return false;
     });
@@ -1295,39 +3303,84 @@ function initialize() {
     });
 
     document.getElementById("pilot").addEventListener("click", function(/* ev */) {
-        Pilot.change(state.pilot.next);
+        Pilot.change(nextPilot(state.pilot, true));
     });
 
-    document.getElementById("open-button").addEventListener("click", function(/* ev */) {
-        document.getElementById("file-upload").click();
+    /* Right click to rename the pilot, or merge them with another one */
+    document.getElementById("pilot").addEventListener("contextmenu", function(ev) {
+        ev.preventDefault();
+        const pilot = state.pilot;
+        const names = Object.values(state.pilots).map((other) => other.name).filter((name) => name && name != pilot.name);
+        const name = window.prompt("Rename " + (pilot.name || "any pilot") +
+            (names.length ? ", or merge with one of " + names.join(", ") : ""), pilot.name);
+        if (name === null)
+            return;
+        Pilot.rename(pilot, name).then(function() {
+            viewer.clock.onTick.raiseEvent(viewer.clock);
+        }).catch(function(ex) {
+            failure("Couldn't rename pilot", ex);
+        });
     });
 
-    document.getElementById("save-button").addEventListener("click", function(/* ev */) {
-        const config = new Blob([save()], { type: 'text/json;charset=utf-8' });
-        const url = URL.createObjectURL(config);
-        const anchor = document.createElement('a');
-        anchor.href = url;
-        anchor.download = "timeline.json";
-        anchor.click();
-        URL.revokeObjectURL(url);
+    /* With Shift these open and save a ZIP archive of the folder */
+    document.getElementById("open-button").addEventListener("click", function(ev) {
+        document.getElementById(ev.shiftKey ? "zip-upload" : "file-upload").click();
     });
 
-    document.getElementById("file-upload").addEventListener("change", function(ev) {
-        const files = ev.target.files;
-        let metadata = null;
-        for (let i = 0; i < files.length; i++) {
-            const url = URL.createObjectURL(files[i]);
-            state.blobs[files[i].name] = url;
-            if (files[i].name == "timeline.json")
-                metadata = files[i];
+    document.getElementById("save-button").addEventListener("click", function(ev) {
+        if (!ev.shiftKey) {
+            download(new Blob([save()], { type: 'text/json;charset=utf-8' }), "timeline.json");
+            return;
         }
 
-        if (files.length == 0)
+        const name = (state.folder || "timeline").replace(/[^\w-]+/g, "_");
+        spinner("archive", true);
+        saveArchive().then(function(zip) {
+            download(zip, name + ".zip");
+        }).catch(function(ex) {
+            failure("Couldn't save archive", ex);
+        }).finally(function() {
+            spinner("archive", false);
+        });
+    });
+
+    const exportMenu = document.getElementById("export-menu");
+    document.getElementById("export-button").addEventListener("click", function(/* ev */) {
+        exportMenu.style.display = exportMenu.style.display == "none" ? "flex" : "none";
+    });
+
+    exportMenu.addEventListener("click", function(ev) {
+        const format = ev.target.getAttribute("data-format");
+        if (!format)
             return;
-        if (!metadata)
-            warning("The selected folder does not have a timeline.json");
+        exportMenu.style.display = "none";
+
+        const timeline = exportTimeline();
+        const name = (state.folder || "timeline").replace(/[^\w-]+/g, "_");
+        if (format == "kml") {
+            download(new Blob([ toKml(timeline) ], { type: "application/vnd.google-earth.kml+xml" }), name + ".kml");
+        } else if (format == "kmz") {
+            createZip([ { name: "doc.kml", data: toKml(timeline) } ]).then(function(zip) {
+                download(new Blob([ zip ], { type: "application/vnd.google-earth.kmz" }), name + ".kmz");
+            }).catch(function(ex) {
+                failure("Couldn't export KMZ", ex);
+            });
+        } else if (format == "czml") {
+            download(new Blob([ toCzml(timeline) ], { type: "application/json" }), name + ".czml");
+        }
+    });
 
-        load(null);
+    document.getElementById("file-upload").addEventListener("change", function(ev) {
+        openFiles(Array.from(ev.target.files, (file) => ({ name: file.name, blob: file })), "folder");
+    });
+
+    document.getElementById("zip-upload").addEventListener("change", function(ev) {
+        const file = ev.target.files[0];
+        if (file) {
+            openArchive(file).catch(function(ex) {
+                failure("Couldn't open archive", file.name, ex);
+            });
+        }
     });
 
     viewer.scene.globe.tileLoadProgressEvent.addEventListener(function(ev) {
@@ -1358,6 +3411,24 @@ function initialize() {
     const element = document.getElementsByClassName("cesium-viewer-toolbar")[0];
     new SkipGapsButton(element, { viewModel: state });
     new HighResolutionButton(element, { viewModel: state });
+    new VarioColorsButton(element, { viewModel: state });
+    new PictureInPictureButton(element, { viewModel: state });
+
+    /* The pilot legend folds up to its title */
+    document.querySelector("#pilot-legend .legend-title").addEventListener("click", function() {
+        document.getElementById("pilot-legend").classList.toggle("collapsed");
+        viewer.clock.onTick.raiseEvent(viewer.clock);
+    });
+
+    /* Switch the flight paths to and from vario colours */
+    document.querySelector("#vario-legend .vario-gradient").style.background = varioGradient();
+    Cesium.knockout.getObservable(state, 'varioColors').subscribe(function(val) {
+        document.getElementById("vario-legend").style.display = val ? "block" : "none";
+        Object.values(state.pilots).forEach(function(pilot) {
+            for (let i = 0; i < pilot.flights.length; i++)
+                pilot.flights.get(i).data.updateDisplay();
+        });
+    });
 
     /* Finally make the widget visible */
     viewer.container.style.display = 'block';
@@ -1365,5 +3436,55 @@ function initialize() {
 
 initialize();
 
+/* Open files with their paths in a folder or archive, as entries of a name and a Blob */
+function openFiles(files, source) {
+    let metadata = null;
+    files.forEach(function(file) {
+        state.blobs[file.name] = URL.createObjectURL(file.blob);
+        state.files[file.name] = file.blob;
+        if (file.name == "timeline.json")
+            metadata = file;
+    });
+
+    if (files.length == 0)
+        return;
+    if (!metadata)
+        warning("The selected " + source + " does not have a timeline.json");
+
+    load(null);
+}
+
+/*
+ * Open a ZIP of a timeline folder, like the ones from saveArchive().
+ * Paths are relative to its timeline.json, or to the one folder that
+ * everything is in. Hidden files and those of macOS are left out.
+ */
+async function openArchive(blob) {
+    const files = (await readZip(blob)).filter((file) =>
+        !file.name.startsWith("__MACOSX/") && !file.name.split("/").pop().startsWith("."));
+
+    const depth = (file) => file.name.split("/").length;
+    const metadata = files.filter((file) => file.name.split("/").pop() == "timeline.json")
+        .sort((a, b) => depth(a) - depth(b))[0];
+
+    let prefix = "";
+    if (metadata) {
+        prefix = metadata.name.slice(0, -"timeline.json".length);
+    } else if (files.length) {
+        const folder = files[0].name.split("/")[0] + "/";
+        if (files.every((file) => file.name.startsWith(folder)))
+            prefix = folder;
+    }
+
+    openFiles(files.map((file) => ({
+        name: file.name.startsWith(prefix) ? file.name.slice(prefix.length) : file.name,
+        blob: file.blob,
+    })), "archive");
+}
+
+function isArchive(file) {
+    return file.type == "application/zip" || file.name.toLowerCase().endsWith(".zip");
+}
+
 /* Load the folder described by the #bookmark in URI */
 load(location.hash ? location.hash.substr(1) : null);
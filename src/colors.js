@@ -0,0 +1,152 @@
+"use strict";
+
+/*
+ * Colors for pilots, as many as needed that are easy to tell apart.
+ * The palette comes first, and then the colors furthest from those in
+ * use. Pilots keep their color by name across reloads, as long as no
+ * other pilot has it already, and the colors of pilots that are gone
+ * are used again.
+ */
+
+/* https://htmlcolorcodes.com/color-chart/ */
+export const PALETTE = [
+    "#3498DB", "#F1C40F", "#E67E22", "#2ECC71", "#27AE60", "#16A085", "#1ABC9C",
+    "#8E44AD", "#9B59B6", "#E74C3C", "#C0392B", "#F39C12", "#D35400",
+];
+
+/* For any pilot, which isn't really a pilot */
+export const NEUTRAL_COLOR = "#BDC3C7";
+
+/* Where the colors of pilots by name are kept, and how many */
+const STORAGE_KEY = "refly.pilotColors";
+const STORAGE_LIMIT = 256;
+
+/* Number of colors to choose from once the palette is used up */
+const CANDIDATES = 360;
+
+function key(color) {
+    return color.toUpperCase().slice(0, 7);
+}
+
+function hex(value) {
+    return Math.round(Math.min(255, Math.max(0, value * 255))).toString(16).padStart(2, "0").toUpperCase();
+}
+
+/* A color from hue in degrees and saturation and lightness from 0 to 1 */
+export function hslColor(hue, saturation, lightness) {
+    const a = saturation * Math.min(lightness, 1 - lightness);
+    function channel(n) {
+        const k = (n + hue / 30) % 12;
+        return lightness - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    }
+    return "#" + hex(channel(0)) + hex(channel(8)) + hex(channel(4));
+}
+
+/* A #RRGGBB color in CIE L*a*b*, where distance is about how different colors look */
+export function labColor(color) {
+    const rgb = [ 1, 3, 5 ].map(function(i) {
+        const value = parseInt(color.slice(i, i + 2), 16) / 255;
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    });
+
+    /* D65 white */
+    const xyz = [
+        (rgb[0] * 0.4124 + rgb[1] * 0.3576 + rgb[2] * 0.1805) / 0.95047,
+        (rgb[0] * 0.2126 + rgb[1] * 0.7152 + rgb[2] * 0.0722),
+        (rgb[0] * 0.0193 + rgb[1] * 0.1192 + rgb[2] * 0.9505) / 1.08883,
+    ].map((value) => value > 0.008856 ? Math.cbrt(value) : 7.787 * value + 16 / 116);
+
+    return [ 116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2]) ];
+}
+
+export function colorDistance(a, b) {
+    const [ la, lb ] = [ labColor(a), labColor(b) ];
+    return Math.hypot(la[0] - lb[0], la[1] - lb[1], la[2] - lb[2]);
+}
+
+/* The candidate furthest from all of the colors in use */
+export function distinctColor(used) {
+    const others = used.concat([ NEUTRAL_COLOR ]).filter((color) => /^#[0-9A-F]{6}/i.test(color));
+    let best = null;
+    let furthest = -1;
+    for (let i = 0; i < CANDIDATES; i++) {
+        /* Hues by the golden angle, at a few lightnesses */
+        const color = hslColor((i * 137.508) % 360, 0.75, [ 0.5, 0.38, 0.65 ][i % 3]);
+        const distance = Math.min(...others.map((other) => colorDistance(color, other)));
+        if (distance > furthest) {
+            furthest = distance;
+            best = color;
+        }
+    }
+    return best;
+}
+
+export class ColorAllocator {
+    /* Colors are kept in the storage, localStorage unless given */
+    constructor(storage) {
+        if (storage === undefined) {
+            try {
+                storage = globalThis.localStorage || null;
+            } catch {
+                storage = null;
+            }
+        }
+        this.storage = storage;
+
+        /* Colors of the pilots there are now, by name */
+        this.used = { };
+
+        /* Colors pilots had before, by name, the most recent last */
+        this.stored = { };
+        try {
+            const stored = JSON.parse(storage ? storage.getItem(STORAGE_KEY) : null);
+            if (stored && typeof stored == "object")
+                this.stored = stored;
+        } catch {
+            this.stored = { };
+        }
+    }
+
+    /*
+     * The color for a pilot by name, as a #RRGGBB string. A color
+     * given for them, like from the timeline.json, is kept to.
+     */
+    allocate(name, color) {
+        if (!name)
+            return NEUTRAL_COLOR;
+
+        color = color || this.choose(name);
+        this.used[name] = color;
+
+        delete this.stored[name];
+        this.stored[name] = color;
+        const names = Object.keys(this.stored);
+        names.slice(0, Math.max(0, names.length - STORAGE_LIMIT)).forEach((name) => delete this.stored[name]);
+        try {
+            if (this.storage)
+                this.storage.setItem(STORAGE_KEY, JSON.stringify(this.stored));
+        } catch {
+            /* Full or not allowed, the colors just won't be the same next time */
+        }
+        return color;
+    }
+
+    /* Free the color of a pilot that's gone, they still get it back if it's free */
+    release(name) {
+        delete this.used[name];
+    }
+
+    choose(name) {
+        const used = Object.values(this.used);
+        const taken = new Set(used.map(key));
+        const own = this.stored[name];
+        if (typeof own == "string" && !taken.has(key(own)))
+            return own;
+
+        /* Rather palette colors that other pilots didn't have before */
+        const reserved = new Set(Object.keys(this.stored).filter((other) => other != name)
+            .map((other) => String(this.stored[other])).map(key));
+        const free = PALETTE.filter((color) => !taken.has(key(color)));
+        return free.find((color) => !reserved.has(key(color))) || free[0] || distinctColor(used);
+    }
+};
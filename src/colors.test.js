@@ -0,0 +1,66 @@
+import { expect, test } from 'vitest';
+
+import { ColorAllocator, NEUTRAL_COLOR, PALETTE, colorDistance, distinctColor, hslColor } from './colors';
+
+/* Enough of localStorage */
+function memoryStorage() {
+    const items = { };
+    return {
+        getItem: (name) => name in items ? items[name] : null,
+        setItem: (name, value) => items[name] = String(value),
+    };
+}
+
+test('hslColor', function() {
+    expect(hslColor(0, 1, 0.5)).toBe("#FF0000");
+    expect(hslColor(120, 1, 0.5)).toBe("#00FF00");
+    expect(hslColor(240, 1, 0.25)).toBe("#000080");
+    expect(hslColor(0, 0, 1)).toBe("#FFFFFF");
+});
+
+test('colorDistance', function() {
+    expect(colorDistance("#FFFFFF", "#FFFFFF")).toBeCloseTo(0);
+    expect(colorDistance("#000000", "#FFFFFF")).toBeCloseTo(100, 0);
+    expect(colorDistance("#FF0000", "#FE0000")).toBeLessThan(1);
+});
+
+test('distinctColor', function() {
+    /* Far from the colors in use, and from each other */
+    const used = PALETTE.slice();
+    for (let i = 0; i < 20; i++) {
+        const color = distinctColor(used);
+        expect(Math.min(...used.map((other) => colorDistance(color, other)))).toBeGreaterThan(5);
+        used.push(color);
+    }
+});
+
+test('ColorAllocator', function() {
+    const storage = memoryStorage();
+    const colors = new ColorAllocator(storage);
+    expect(colors.allocate("")).toBe(NEUTRAL_COLOR);
+
+    /* Unique colors beyond the palette */
+    const names = Array.from({ length: 30 }, (_, i) => "Pilot " + i);
+    const allocated = names.map((name) => colors.allocate(name));
+    expect(allocated.slice(0, PALETTE.length)).toEqual(PALETTE);
+    expect(new Set(allocated).size).toBe(30);
+    allocated.forEach((color) => expect(color).toMatch(/^#[0-9A-F]{6}$/));
+
+    /* Colors given for a pilot are kept to */
+    expect(colors.allocate("Jane", "#123456")).toBe("#123456");
+
+    /* A freed color is used again */
+    colors.release("Pilot 1");
+    expect(colors.allocate("Newcomer")).toBe(PALETTE[1]);
+
+    /* Pilots get the same colors after a reload, unless someone has theirs */
+    const reloaded = new ColorAllocator(storage);
+    expect(reloaded.allocate("Pilot 20")).toBe(allocated[20]);
+    expect(reloaded.allocate("Pilot 1")).toBe(PALETTE[1]);
+    expect(reloaded.allocate("Newcomer")).toBe(PALETTE[0]);
+
+    /* Without storage, or with storage that fails */
+    expect(new ColorAllocator(null).allocate("Jane")).toBe(PALETTE[0]);
+    const broken = { getItem: () => "{", setItem: () => { throw new Error("Full"); } };
+    expect(new ColorAllocator(broken).allocate("Jane")).toBe(PALETTE[0]);
+});
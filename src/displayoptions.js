@@ -29,8 +29,12 @@ export class DisplayOptions {
         const self = this;
         this.skipGaps = false;
         this.highResolution = false;
+        this.varioColors = false;
         this.imageProvider = sentinel;
 
+        /* Show videos and the globe together, with "video" or "globe" as the inset */
+        this.pictureInPicture = false;
+
         knockout.track(this);
         knockout.getObservable(this, 'highResolution').subscribe(function(val) {
             let provider = null;
@@ -58,6 +62,7 @@ export class DisplayToggleButton {
         assert(typeof options.field == "string");
 
         const field = options.field;
+        const values = options.values || [ false, true ];
         this._viewModel = options.viewModel || new DisplayOptions();
 
         const button = document.createElement("button");
@@ -70,8 +75,11 @@ export class DisplayToggleButton {
         this._container = container;
         this._element = button;
 
-        /* Toggle the state on clicking */
-        this._click = function() { that._viewModel[field] = !that._viewModel[field]; };
+        /* Toggle the state on clicking, or go to the next of several values */
+        this._click = function() {
+            const index = values.indexOf(that._viewModel[field]);
+            that._viewModel[field] = values[(index + 1) % values.length];
+        };
         button.addEventListener("click", this._click, true);
 
         /* Set the classes on the button right */
@@ -131,4 +139,28 @@ export class HighResolutionButton extends DisplayToggleButton {
     }
 };
 
+const VARIO_BARS = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512"><path d="M48 320h96v144H48zM208 192h96v272h-96zM368 48h96v416h-96z"/></svg>';
+
+export class VarioColorsButton extends DisplayToggleButton {
+    constructor(container, options) {
+        super(container, Object.assign({
+            innerHTML: VARIO_BARS,
+            field: "varioColors",
+        }, options));
+    }
+};
+
+const PICTURE_IN_PICTURE = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 512 512"><path d="M32 64h448v384H32zM80 112v288h352V112zM240 256h160v112H240z" fill-rule="evenodd"/></svg>';
+
+/* Cycles through no picture in picture, the video as the inset, and the globe */
+export class PictureInPictureButton extends DisplayToggleButton {
+    constructor(container, options) {
+        super(container, Object.assign({
+            innerHTML: PICTURE_IN_PICTURE,
+            field: "pictureInPicture",
+            values: [ false, "video", "globe" ],
+        }, options));
+    }
+};
+
 export default DisplayOptions;
@@ -5,8 +5,10 @@ import {
     DisplayOptions,
     DisplayToggleButton,
     HighResolutionButton,
+    PictureInPictureButton,
     PROVIDER_IDS,
     SkipGapsButton,
+    VarioColorsButton,
 } from './displayoptions';
 
 /* Make sure we don't mkae Bing requests during testing */
@@ -149,4 +151,38 @@ test('HighResolutionButton.optional', function() {
     expect(value).toBe(true);
 });
 
+test('VarioColorsButton', function() {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+
+    const options = new DisplayOptions();
+    const button = new VarioColorsButton(container, { viewModel: options });
+    expect(button.container).toBe(container);
+    expect(button.viewModel).toBe(options);
+    expect(button.viewModel.varioColors).toBe(false);
 
+    button.element.click();
+    expect(button.viewModel.varioColors).toBe(true);
+    expect(button.element.classList.contains("toggled")).toBe(true);
+    button.element.click();
+    expect(button.viewModel.varioColors).toBe(false);
+});
+
+test('PictureInPictureButton', function() {
+    const container = document.createElement("div");
+    document.body.appendChild(container);
+
+    const options = new DisplayOptions();
+    const button = new PictureInPictureButton(container, { viewModel: options });
+    expect(button.viewModel.pictureInPicture).toBe(false);
+    expect(button.element.classList.contains("toggled")).toBe(false);
+
+    button.element.click();
+    expect(button.viewModel.pictureInPicture).toBe("video");
+    expect(button.element.classList.contains("toggled")).toBe(true);
+    button.element.click();
+    expect(button.viewModel.pictureInPicture).toBe("globe");
+    button.element.click();
+    expect(button.viewModel.pictureInPicture).toBe(false);
+    expect(button.element.classList.contains("toggled")).toBe(false);
+});
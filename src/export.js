@@ -0,0 +1,154 @@
+"use strict";
+
+import { geoidHeight } from "./altitude.js";
+
+/*
+ * Export a timeline as KML for Google Earth, or CZML for other
+ * Cesium viewers. The timeline looks like this, with heights
+ * above the WGS84 ellipsoid and times as ISO 8601 strings:
+ *
+ * {
+ *   name: "Title",
+ *   flights: [ { name, pilot, color: "#rrggbb", samples: [ { time, longitude, latitude, height } ] } ],
+ *   videos: [ { name, pilot, color, start, stop, longitude, latitude, height } ],
+ * }
+ *
+ * Videos without a position are left out, since there's nothing to show.
+ */
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (c) => "&#" + c.charCodeAt(0) + ";");
+}
+
+/* KML colors are aabbggrr */
+function kmlColor(color) {
+    const hex = color.replace("#", "");
+    return "ff" + hex.slice(4, 6) + hex.slice(2, 4) + hex.slice(0, 2);
+}
+
+/* KML absolute altitudes are above mean sea level */
+function kmlCoordinates(position) {
+    const altitude = position.height - geoidHeight(position.latitude, position.longitude);
+    return position.longitude + " " + position.latitude + " " + altitude.toFixed(1);
+}
+
+function hasPosition(video) {
+    return typeof video.longitude == "number" && typeof video.latitude == "number";
+}
+
+export function toKml(timeline) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+        '<Document>',
+        '<name>' + escapeXml(timeline.name || "Refly") + '</name>',
+    ];
+
+    /* One style per color */
+    const styles = { };
+    timeline.flights.concat(timeline.videos).forEach(function(item) {
+        if (item.color && !(item.color in styles)) {
+            const id = "color" + Object.keys(styles).length;
+            styles[item.color] = id;
+            lines.push('<Style id="' + id + '">',
+                '<LineStyle><color>' + kmlColor(item.color) + '</color><width>2</width></LineStyle>',
+                '<IconStyle><color>' + kmlColor(item.color) + '</color></IconStyle>',
+                '</Style>');
+        }
+    });
+
+    timeline.flights.forEach(function(flight) {
+        lines.push('<Placemark>',
+            '<name>' + escapeXml(flight.pilot || flight.name) + '</name>',
+            '<description>' + escapeXml(flight.name) + '</description>');
+        if (flight.color)
+            lines.push('<styleUrl>#' + styles[flight.color] + '</styleUrl>');
+        lines.push('<gx:Track>', '<altitudeMode>absolute</altitudeMode>');
+        flight.samples.forEach((sample) => lines.push('<when>' + sample.time + '</when>'));
+        flight.samples.forEach((sample) => lines.push('<gx:coord>' + kmlCoordinates(sample) + '</gx:coord>'));
+        lines.push('</gx:Track>', '</Placemark>');
+    });
+
+    timeline.videos.filter(hasPosition).forEach(function(video) {
+        lines.push('<Placemark>',
+            '<name>' + escapeXml(video.name) + '</name>',
+            '<description>' + escapeXml(video.pilot || "") + '</description>',
+            '<TimeSpan><begin>' + video.start + '</begin><end>' + video.stop + '</end></TimeSpan>');
+        if (video.color)
+            lines.push('<styleUrl>#' + styles[video.color] + '</styleUrl>');
+        lines.push('<Point>', '<altitudeMode>absolute</altitudeMode>',
+            '<coordinates>' + kmlCoordinates(video).replace(/ /g, ",") + '</coordinates>',
+            '</Point>', '</Placemark>');
+    });
+
+    lines.push('</Document>', '</kml>');
+    return lines.join("\n");
+}
+
+/* CZML colors are [ red, green, blue, alpha ] bytes */
+function czmlColor(color) {
+    const hex = (color || "#ffffff").replace("#", "");
+    return [ 0, 2, 4 ].map((i) => parseInt(hex.slice(i, i + 2), 16)).concat([ 255 ]);
+}
+
+export function toCzml(timeline) {
+    const times = [ ];
+    timeline.flights.forEach(function(flight) {
+        if (flight.samples.length)
+            times.push(flight.samples[0].time, flight.samples[flight.samples.length - 1].time);
+    });
+    timeline.videos.forEach((video) => times.push(video.start, video.stop));
+    times.sort((a, b) => Date.parse(a) - Date.parse(b));
+
+    const packets = [ {
+        id: "document",
+        name: timeline.name || "Refly",
+        version: "1.0",
+    } ];
+
+    if (times.length) {
+        packets[0].clock = {
+            interval: times[0] + "/" + times[times.length - 1],
+            currentTime: times[0],
+            multiplier: timeline.multiplier || 1,
+        };
+    }
+
+    timeline.flights.forEach(function(flight, index) {
+        if (!flight.samples.length)
+            return;
+
+        const epoch = flight.samples[0].time;
+        const start = Date.parse(epoch);
+        const coordinates = [ ];
+        flight.samples.forEach(function(sample) {
+            coordinates.push((Date.parse(sample.time) - start) / 1000,
+                sample.longitude, sample.latitude, sample.height);
+        });
+
+        const color = { rgba: czmlColor(flight.color) };
+        packets.push({
+            id: "flight" + index,
+            name: flight.pilot || flight.name,
+            description: flight.name,
+            availability: epoch + "/" + flight.samples[flight.samples.length - 1].time,
+            position: { epoch: epoch, cartographicDegrees: coordinates },
+            point: { color: color, pixelSize: 10 },
+            path: { material: { solidColor: { color: color } }, width: 1, leadTime: 0 },
+        });
+    });
+
+    timeline.videos.filter(hasPosition).forEach(function(video, index) {
+        packets.push({
+            id: "video" + index,
+            name: video.name,
+            description: video.pilot || "",
+            availability: video.start + "/" + video.stop,
+            position: { cartographicDegrees: [ video.longitude, video.latitude, video.height ] },
+            point: { color: { rgba: czmlColor(video.color) }, pixelSize: 12 },
+            label: { text: video.name, pixelOffset: { cartesian2: [ 0, -20 ] } },
+        });
+    });
+
+    return JSON.stringify(packets, null, 1);
+}
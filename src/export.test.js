@@ -0,0 +1,75 @@
+import { expect, test } from 'vitest';
+
+import { geoidHeight } from './altitude';
+import { toCzml, toKml } from './export';
+
+const timeline = {
+    name: "Test day",
+    flights: [ {
+        name: "flight.igc",
+        pilot: "Jane <Doe>",
+        color: "#3498db",
+        samples: [
+            { time: "2024-12-31T12:00:00Z", longitude: 7.5, latitude: 46.5, height: 1500 },
+            { time: "2024-12-31T12:00:10Z", longitude: 7.6, latitude: 46.6, height: 1600 },
+        ],
+    } ],
+    videos: [ {
+        name: "clip.mp4",
+        pilot: "Jane <Doe>",
+        color: "#3498db",
+        start: "2024-12-31T12:00:05Z",
+        stop: "2024-12-31T12:01:05Z",
+        longitude: 7.55,
+        latitude: 46.55,
+        height: 1550,
+    }, {
+        name: "nowhere.jpg",
+        pilot: "",
+        start: "2024-12-31T12:00:05Z",
+        stop: "2024-12-31T12:00:10Z",
+    } ],
+};
+
+test('toKml', function() {
+    const kml = toKml(timeline);
+    expect(kml).toMatch(/^<\?xml/);
+    expect(kml).toMatch("<name>Test day</name>");
+    expect(kml).toMatch("<name>Jane &#60;Doe&#62;</name>");
+    expect(kml).toMatch("<color>ffdb9834</color>");
+    expect(kml).toMatch("<when>2024-12-31T12:00:10Z</when>");
+
+    /* Altitudes are above mean sea level */
+    const altitude = (1500 - geoidHeight(46.5, 7.5)).toFixed(1);
+    expect(kml).toMatch("<gx:coord>7.5 46.5 " + altitude + "</gx:coord>");
+
+    expect(kml).toMatch("<name>clip.mp4</name>");
+    expect(kml).toMatch("<begin>2024-12-31T12:00:05Z</begin>");
+    expect(kml).not.toMatch("nowhere.jpg");
+    expect(kml).toMatch(/<\/kml>$/);
+});
+
+test('toCzml', function() {
+    const packets = JSON.parse(toCzml(timeline));
+    expect(packets.length).toBe(3);
+
+    expect(packets[0].id).toBe("document");
+    expect(packets[0].name).toBe("Test day");
+    expect(packets[0].clock.interval).toBe("2024-12-31T12:00:00Z/2024-12-31T12:01:05Z");
+
+    const flight = packets[1];
+    expect(flight.name).toBe("Jane <Doe>");
+    expect(flight.availability).toBe("2024-12-31T12:00:00Z/2024-12-31T12:00:10Z");
+    expect(flight.position.epoch).toBe("2024-12-31T12:00:00Z");
+    expect(flight.position.cartographicDegrees).toStrictEqual([ 0, 7.5, 46.5, 1500, 10, 7.6, 46.6, 1600 ]);
+    expect(flight.path.material.solidColor.color.rgba).toStrictEqual([ 0x34, 0x98, 0xdb, 255 ]);
+
+    const video = packets[2];
+    expect(video.name).toBe("clip.mp4");
+    expect(video.position.cartographicDegrees).toStrictEqual([ 7.55, 46.55, 1550 ]);
+});
+
+test('toCzml.empty', function() {
+    const packets = JSON.parse(toCzml({ flights: [], videos: [] }));
+    expect(packets).toStrictEqual([ { id: "document", name: "Refly", version: "1.0" } ]);
+});
@@ -0,0 +1,30 @@
+"use strict";
+
+/*
+ * Flight log fixes for the tests, in the shape of the IGCParser,
+ * starting at START over the Swiss Alps.
+ */
+
+export const START = Date.parse('2024-12-31T12:00:00Z');
+
+/* Degrees of latitude per meter */
+export const METER = 1 / 111195;
+
+/* A fix some seconds after START, with a GPS altitude when one is given */
+export function makeFix(seconds, latitude, longitude, altitude) {
+    const fix = { timestamp: START + seconds * 1000, latitude: latitude, longitude: longitude };
+    if (altitude !== undefined) {
+        fix.gpsAltitude = altitude;
+        fix.pressureAltitude = null;
+    }
+    return fix;
+}
+
+/*
+ * Fixes one second apart heading north at about 11 m/s, with the
+ * altitude a number, or a function of the index of the fix.
+ */
+export function makeFixes(count, altitude) {
+    return Array.from({ length: count }, (_, i) =>
+        makeFix(i, 46 + i * 0.0001, 7, typeof altitude == "function" ? altitude(i) : altitude));
+}
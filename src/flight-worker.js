@@ -0,0 +1,82 @@
+"use strict";
+
+import IGCParser from "./igc-parser.js";
+import GPXParser from "./gpx-parser.js";
+import { altitudeModel } from "./altitude.js";
+import { detectFlying, varioRates } from "./flightstats.js";
+import { checkIntegrity } from "./integrity.js";
+import { detectThermals } from "./thermals.js";
+import { detailLevels } from "./simplify.js";
+import { trackPositions, trackerPositions } from "./track.js";
+
+/*
+ * Parses and preprocesses flight logs off the main thread, used
+ * through a WorkerPool. This takes two messages, since calibrating
+ * the altitude needs the takeoff, and the terrain which is only
+ * available on the main thread:
+ *
+ *  { type: "parse", data, filename, mime } parses the log and
+ *  results in { igcData, flying, rates, thermals, integrity }, or
+ *  with igcData instead of data uses a log that's already parsed,
+ *  like the telemetry of a video from gpmf.js. The fixes are moved
+ *  by offset seconds, for loggers with a wrong clock
+ *
+ *  { type: "prepare", mode, calibration } results in the
+ *  { heights, positions, tracker } from track.js and the
+ *  levels of detail from simplify.js
+ */
+
+const PARSERS = {
+    "application/x-igc": IGCParser,
+    "application/gpx+xml": GPXParser,
+};
+
+/* The flight log between the parse and prepare messages */
+let igcData = null;
+
+function parse(message) {
+    const parser = PARSERS[message.mime] || IGCParser;
+    igcData = message.igcData || parser.parse(message.data, { filename: message.filename, lenient: true });
+    if (message.offset)
+        igcData.fixes.forEach((fix) => fix.timestamp += message.offset * 1000);
+    const rates = varioRates(igcData.fixes);
+    return {
+        result: {
+            igcData: igcData,
+            flying: detectFlying(igcData.fixes),
+            rates: rates,
+            thermals: detectThermals(igcData.fixes),
+            integrity: checkIntegrity(igcData),
+        },
+        transfer: [ rates.buffer ],
+    };
+}
+
+function prepare(message) {
+    const fixes = igcData ? igcData.fixes : [ ];
+    igcData = null;
+
+    const track = trackPositions(fixes, altitudeModel(message.mode, fixes, message.calibration));
+    const tracker = trackerPositions(track.positions);
+    const levels = detailLevels(track.positions);
+    return {
+        result: {
+            heights: track.heights,
+            positions: track.positions,
+            tracker: tracker,
+            levels: levels,
+        },
+        transfer: [ track.heights.buffer, track.positions.buffer, tracker.indexes.buffer, tracker.positions.buffer ]
+            .concat(levels.map((level) => level.buffer)),
+    };
+}
+
+self.onmessage = function(ev) {
+    const id = ev.data.id;
+    try {
+        const { result, transfer } = ev.data.type == "parse" ? parse(ev.data) : prepare(ev.data);
+        self.postMessage({ id: id, result: result }, transfer);
+    } catch (ex) {
+        self.postMessage({ id: id, error: String(ex.message || ex) });
+    }
+};
@@ -0,0 +1,160 @@
+"use strict";
+
+import { distance } from "./geo.js";
+
+/* Seconds over which climb and sink are averaged */
+export const VARIO_WINDOW = 10;
+
+/* Meters of altitude change to ignore when summing up the gain */
+const GAIN_HYSTERESIS = 5;
+
+/* Seconds over which to look at movement when detecting takeoff and landing */
+const FLYING_WINDOW = 10;
+
+/* Ground speed in m/s above which we're flying, faster than walking */
+const FLYING_SPEED = 3.5;
+
+/* Vertical speed in m/s above which we're flying, faster than a lift */
+const FLYING_VARIO = 1.5;
+
+/* Seconds we have to keep flying for it to count as a takeoff or landing */
+const FLYING_DURATION = 30;
+
+/*
+ * The altitude of a fix in meters. Some loggers leave out
+ * the GPS altitude, and then we use the pressure altitude.
+ */
+export function fixAltitude(fix) {
+    if (typeof fix.gpsAltitude == "number")
+        return fix.gpsAltitude;
+    if (typeof fix.pressureAltitude == "number")
+        return fix.pressureAltitude;
+    return 0;
+}
+
+/*
+ * Compute the vertical speed in m/s at each fix. This is averaged
+ * over the preceding window of seconds so that noise in a single
+ * fix doesn't show up as a huge climb or sink.
+ */
+export function varioRates(fixes, window) {
+    const seconds = window || VARIO_WINDOW;
+    const rates = new Float64Array(fixes.length);
+
+    let from = 0;
+    for (let i = 1; i < fixes.length; i++) {
+        while (from < i - 1 && (fixes[i].timestamp - fixes[from + 1].timestamp) / 1000 >= seconds)
+            from++;
+        const elapsed = (fixes[i].timestamp - fixes[from].timestamp) / 1000;
+        if (elapsed > 0)
+            rates[i] = (fixAltitude(fixes[i]) - fixAltitude(fixes[from])) / elapsed;
+        else
+            rates[i] = rates[i - 1];
+    }
+
+    return rates;
+}
+
+/*
+ * Detect the takeoff and landing by looking at ground speed and
+ * altitude change. Returns the indexes of the takeoff and landing
+ * fixes, or null if the log never looks like it's flying.
+ */
+export function detectFlying(fixes) {
+    if (!fixes || fixes.length < 2)
+        return null;
+
+    /* Whether we're moving in the window after each fix */
+    const flying = new Uint8Array(fixes.length);
+    let to = 0;
+    for (let i = 0; i < fixes.length; i++) {
+        while (to < fixes.length - 1 && (fixes[to].timestamp - fixes[i].timestamp) / 1000 < FLYING_WINDOW)
+            to++;
+        const elapsed = (fixes[to].timestamp - fixes[i].timestamp) / 1000;
+        if (elapsed > 0) {
+            const speed = distance(fixes[i], fixes[to]) / elapsed;
+            const vario = Math.abs(fixAltitude(fixes[to]) - fixAltitude(fixes[i])) / elapsed;
+            flying[i] = speed >= FLYING_SPEED || vario >= FLYING_VARIO;
+        }
+    }
+
+    /* Find the first run of flying that lasts long enough, in either direction */
+    function sustained(from, step) {
+        let start = -1;
+        for (let i = from; i >= 0 && i < fixes.length; i += step) {
+            if (!flying[i])
+                start = -1;
+            else if (start < 0)
+                start = i;
+            else if (Math.abs(fixes[i].timestamp - fixes[start].timestamp) / 1000 >= FLYING_DURATION)
+                return start;
+        }
+        return -1;
+    }
+
+    const takeoff = sustained(0, 1);
+    let landing = sustained(fixes.length - 1, -1);
+    if (takeoff < 0 || landing < 0 || landing <= takeoff)
+        return null;
+
+    /* The last flying fix is moving in the window after it, so follow it to a stop */
+    const last = fixes[landing].timestamp;
+    while (landing < fixes.length - 1 && (fixes[landing + 1].timestamp - last) / 1000 <= FLYING_WINDOW) {
+        const elapsed = (fixes[landing + 1].timestamp - fixes[landing].timestamp) / 1000;
+        if (elapsed <= 0 || distance(fixes[landing], fixes[landing + 1]) / elapsed < FLYING_SPEED)
+            break;
+        landing++;
+    }
+
+    return { takeoff: takeoff, landing: landing };
+}
+
+/*
+ * Statistics for a flight from the IGC fixes. The altitudes are
+ * in meters, climb and sink in m/s, airtime in seconds, distances
+ * in meters and speed in m/s. Returns null if there are no fixes.
+ */
+export function computeStatistics(fixes) {
+    if (!fixes || !fixes.length)
+        return null;
+
+    const first = fixes[0];
+    const last = fixes[fixes.length - 1];
+    const rates = varioRates(fixes);
+
+    const stats = {
+        maxAltitude: fixAltitude(first),
+        minAltitude: fixAltitude(first),
+        altitudeGain: 0,
+        maxClimb: 0,
+        maxSink: 0,
+        airtime: Math.max(0, (last.timestamp - first.timestamp) / 1000),
+        distance: distance(first, last),
+        trackDistance: 0,
+        averageSpeed: 0,
+    };
+
+    let reference = fixAltitude(first);
+    for (let i = 1; i < fixes.length; i++) {
+        const altitude = fixAltitude(fixes[i]);
+        stats.maxAltitude = Math.max(stats.maxAltitude, altitude);
+        stats.minAltitude = Math.min(stats.minAltitude, altitude);
+
+        /* Only count gain once we've clearly climbed, ignoring GPS noise */
+        if (altitude > reference + GAIN_HYSTERESIS) {
+            stats.altitudeGain += altitude - reference;
+            reference = altitude;
+        } else if (altitude < reference - GAIN_HYSTERESIS) {
+            reference = altitude;
+        }
+
+        stats.maxClimb = Math.max(stats.maxClimb, rates[i]);
+        stats.maxSink = Math.min(stats.maxSink, rates[i]);
+        stats.trackDistance += distance(fixes[i - 1], fixes[i]);
+    }
+
+    if (stats.airtime > 0)
+        stats.averageSpeed = stats.trackDistance / stats.airtime;
+
+    return stats;
+}
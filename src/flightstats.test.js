@@ -0,0 +1,82 @@
+import { expect, test } from 'vitest';
+
+import { METER, makeFix, makeFixes } from './fixtures';
+import * as flightstats from './flightstats';
+
+/* Fixes one second apart heading north, with the given altitudes */
+function altitudeFixes(altitudes) {
+    return makeFixes(altitudes.length, (i) => altitudes[i]);
+}
+
+test('fixAltitude', function() {
+    expect(flightstats.fixAltitude({ gpsAltitude: 1000, pressureAltitude: 900 })).toBe(1000);
+    expect(flightstats.fixAltitude({ gpsAltitude: null, pressureAltitude: 900 })).toBe(900);
+    expect(flightstats.fixAltitude({ gpsAltitude: null, pressureAltitude: null })).toBe(0);
+});
+
+test('varioRates', function() {
+    const fixes = altitudeFixes([ 1000, 1002, 1004, 1006, 1008, 1010 ]);
+    const rates = flightstats.varioRates(fixes, 2);
+    expect(rates.length).toBe(6);
+    expect(rates[0]).toBe(0);
+    expect(rates[1]).toBe(2);
+    expect(rates[5]).toBe(2);
+
+    /* A single spike gets averaged out over the window */
+    const spike = altitudeFixes([ 1000, 1000, 1000, 1000, 1020, 1000 ]);
+    expect(flightstats.varioRates(spike, 10)[4]).toBe(5);
+});
+
+test('computeStatistics', function() {
+    expect(flightstats.computeStatistics([])).toBe(null);
+    expect(flightstats.computeStatistics(null)).toBe(null);
+
+    const altitudes = [ ];
+    for (let i = 0; i <= 100; i++)
+        altitudes.push(1000 + i * 2);
+    for (let i = 1; i <= 100; i++)
+        altitudes.push(1200 - i * 3);
+
+    const stats = flightstats.computeStatistics(altitudeFixes(altitudes));
+    expect(stats.maxAltitude).toBe(1200);
+    expect(stats.minAltitude).toBe(900);
+    expect(stats.altitudeGain).toBeGreaterThanOrEqual(195);
+    expect(stats.altitudeGain).toBeLessThanOrEqual(200);
+    expect(stats.maxClimb).toBeCloseTo(2);
+    expect(stats.maxSink).toBeCloseTo(-3);
+    expect(stats.airtime).toBe(200);
+    expect(stats.distance).toBeCloseTo(2224, 0);
+    expect(stats.trackDistance).toBeCloseTo(stats.distance, 0);
+    expect(stats.averageSpeed).toBeCloseTo(stats.trackDistance / 200);
+});
+
+test('computeStatistics.noise', function() {
+    /* Altitude noise on the ground should not count as gain */
+    const stats = flightstats.computeStatistics(altitudeFixes([ 500, 503, 499, 502, 500, 504 ]));
+    expect(stats.altitudeGain).toBe(0);
+});
+
+test('detectFlying', function() {
+    expect(flightstats.detectFlying([])).toBe(null);
+    expect(flightstats.detectFlying(null)).toBe(null);
+
+    /* Ten minutes on the ground, ten minutes flying, ten minutes on the ground */
+    const fixes = [ ];
+    let latitude = 46;
+    for (let i = 0; i < 1800; i++) {
+        const flying = i >= 600 && i < 1200;
+        if (flying)
+            latitude += 10 * METER;
+        fixes.push(makeFix(i, latitude, 7, flying ? 2000 - (i - 600) : 1400));
+    }
+
+    const result = flightstats.detectFlying(fixes);
+    expect(result.takeoff).toBeGreaterThanOrEqual(590);
+    expect(result.takeoff).toBeLessThanOrEqual(600);
+    expect(result.landing).toBeGreaterThanOrEqual(1195);
+    expect(result.landing).toBeLessThanOrEqual(1200);
+
+    /* Sitting on the ground the whole time */
+    expect(flightstats.detectFlying(altitudeFixes(new Array(300).fill(1000)).map((fix) =>
+        Object.assign(fix, { latitude: 46 })))).toBe(null);
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+/* Mean radius of the earth in meters */
+export const EARTH_RADIUS = 6371000;
+
+function radians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/*
+ * The great circle distance in meters between two
+ * objects with latitude and longitude in degrees.
+ */
+export function distance(a, b) {
+    const lat1 = radians(a.latitude);
+    const lat2 = radians(b.latitude);
+    const dlat = lat2 - lat1;
+    const dlon = radians(b.longitude - a.longitude);
+    const h = Math.sin(dlat / 2) * Math.sin(dlat / 2) +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin(dlon / 2) * Math.sin(dlon / 2);
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/* The initial bearing in degrees (0 to 360) from a to b */
+export function bearing(a, b) {
+    const lat1 = radians(a.latitude);
+    const lat2 = radians(b.latitude);
+    const dlon = radians(b.longitude - a.longitude);
+    const y = Math.sin(dlon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dlon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/* The WGS84 ellipsoid used by GPS and Cesium */
+const WGS84_RADIUS = 6378137.0;
+const WGS84_ECCENTRICITY_SQUARED = 6.69437999014e-3;
+
+/*
+ * Earth centered, earth fixed coordinates in meters for a position
+ * with a height above the ellipsoid. This is the same as Cesium's
+ * Cartesian3.fromDegrees(), but can be used in workers without it.
+ */
+export function cartesian(latitude, longitude, height) {
+    const lat = radians(latitude);
+    const lon = radians(longitude);
+    const sin = Math.sin(lat);
+    const normal = WGS84_RADIUS / Math.sqrt(1 - WGS84_ECCENTRICITY_SQUARED * sin * sin);
+    const horizontal = (normal + height) * Math.cos(lat);
+    return [
+        horizontal * Math.cos(lon),
+        horizontal * Math.sin(lon),
+        (normal * (1 - WGS84_ECCENTRICITY_SQUARED) + height) * sin,
+    ];
+}
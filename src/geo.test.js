@@ -0,0 +1,41 @@
+import { expect, test } from 'vitest';
+
+import * as geo from './geo';
+
+test('distance', function() {
+    const a = { latitude: 0, longitude: 0 };
+    expect(geo.distance(a, a)).toBe(0);
+
+    /* One degree along the equator */
+    expect(geo.distance(a, { latitude: 0, longitude: 1 })).toBeCloseTo(111195, 0);
+    expect(geo.distance({ latitude: 0, longitude: 1 }, a)).toBeCloseTo(111195, 0);
+
+    /* Across the antimeridian */
+    expect(geo.distance({ latitude: 0, longitude: 179.5 }, { latitude: 0, longitude: -179.5 }))
+        .toBeCloseTo(111195, 0);
+});
+
+test('bearing', function() {
+    const a = { latitude: 0, longitude: 0 };
+    expect(geo.bearing(a, { latitude: 1, longitude: 0 })).toBeCloseTo(0);
+    expect(geo.bearing(a, { latitude: 0, longitude: 1 })).toBeCloseTo(90);
+    expect(geo.bearing(a, { latitude: -1, longitude: 0 })).toBeCloseTo(180);
+    expect(geo.bearing(a, { latitude: 0, longitude: -1 })).toBeCloseTo(270);
+});
+
+test('cartesian', function() {
+    const origin = geo.cartesian(0, 0, 0);
+    expect(origin[0]).toBeCloseTo(6378137, 3);
+    expect(origin[1]).toBeCloseTo(0, 3);
+    expect(origin[2]).toBeCloseTo(0, 3);
+
+    const pole = geo.cartesian(90, 0, 100);
+    expect(pole[0]).toBeCloseTo(0, 3);
+    expect(pole[2]).toBeCloseTo(6356752.314 + 100, 2);
+
+    /* Cesium.Cartesian3.fromDegrees(7, 46, 1000) */
+    const point = geo.cartesian(46, 7, 1000);
+    expect(point[0]).toBeCloseTo(4405927.02, 1);
+    expect(point[1]).toBeCloseTo(540979.81, 1);
+    expect(point[2]).toBeCloseTo(4565966.88, 1);
+});
@@ -0,0 +1,331 @@
+"use strict";
+
+import { distance } from "./geo.js";
+import { mp4Track } from "./media.js";
+
+/*
+ * GoPro cameras record their GPS in a GPMF metadata track of the
+ * MP4, about once a second with a burst of GPS5 samples in each.
+ * GPMF is nested key, type, size and repeat headers followed by
+ * big endian values. We turn it into this, with the time of each
+ * sample in seconds from the start of the video, and the start in
+ * milliseconds from the GPS clock, or null without a GPS time:
+ *
+ * {
+ *   start: 1735646400000,
+ *   samples: [ { time, latitude, longitude, altitude } ],
+ * }
+ */
+
+/* Keep at most one sample per this many seconds, cameras record 18 a second */
+const SAMPLE_INTERVAL = 1;
+
+/*
+ * Samples are read together when they're at most this many bytes
+ * apart, up to this many bytes at once. GoPro interleaves them with
+ * the video a few MB at a time.
+ */
+const READ_GAP = 64 * 1024;
+const READ_SIZE = 4 * 1024 * 1024;
+
+/* Without a 2D or 3D fix, GPSF is 0 */
+const GPS_FIX = 2;
+
+/* Number of samples used to line up telemetry with a flight */
+const ALIGN_SAMPLES = 100;
+
+/* Number of steps in each pass of the alignment search, and the last step in ms */
+const ALIGN_STEPS = 200;
+const ALIGN_PRECISION = 100;
+
+const TYPE_SIZES = { b: 1, B: 1, c: 1, s: 2, S: 2, l: 4, L: 4, f: 4, d: 8, j: 8, J: 8, U: 16 };
+
+/*
+ * The items in GPMF data as { key, type, size, repeat, start, end }
+ * with the offsets of their values in bytes, and the children of
+ * nested items, which have a type of zero.
+ */
+export function parseGpmf(bytes, start, end) {
+    const items = [ ];
+    let offset = start || 0;
+    end = end === undefined ? bytes.length : end;
+
+    while (offset + 8 <= end) {
+        const key = String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+        const type = bytes[offset + 4];
+        const size = bytes[offset + 5];
+        const repeat = (bytes[offset + 6] << 8) | bytes[offset + 7];
+        const length = size * repeat;
+        const item = {
+            key: key,
+            type: type ? String.fromCharCode(type) : 0,
+            size: size,
+            repeat: repeat,
+            start: offset + 8,
+            end: Math.min(end, offset + 8 + length),
+        };
+        if (!type)
+            item.children = parseGpmf(bytes, item.start, item.end);
+        items.push(item);
+
+        /* Values are padded to 32 bits */
+        offset += 8 + Math.ceil(length / 4) * 4;
+    }
+
+    return items;
+}
+
+/* The values of a GPMF item as numbers, or a string for text */
+export function gpmfValues(bytes, item) {
+    if (item.type == "c" || item.type == "U")
+        return new TextDecoder().decode(bytes.subarray(item.start, item.end)).replace(/\0+$/, "");
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const width = TYPE_SIZES[item.type];
+    const values = [ ];
+    if (!width)
+        return values;
+
+    for (let offset = item.start; offset + width <= item.end; offset += width) {
+        switch (item.type) {
+        case "b": values.push(view.getInt8(offset)); break;
+        case "B": values.push(view.getUint8(offset)); break;
+        case "s": values.push(view.getInt16(offset)); break;
+        case "S": values.push(view.getUint16(offset)); break;
+        case "l": values.push(view.getInt32(offset)); break;
+        case "L": values.push(view.getUint32(offset)); break;
+        case "f": values.push(view.getFloat32(offset)); break;
+        case "d": values.push(view.getFloat64(offset)); break;
+        case "j": values.push(Number(view.getBigInt64(offset))); break;
+        case "J": values.push(Number(view.getBigUint64(offset))); break;
+        }
+    }
+    return values;
+}
+
+/* A GPSU time like 241231120000.500 in milliseconds, or null */
+function gpsTime(value) {
+    const match = /^(\d\d)(\d\d)(\d\d)(\d\d)(\d\d)(\d\d(?:\.\d+)?)/.exec(value);
+    if (!match)
+        return null;
+    const parts = match.slice(1, 6).map((part) => parseInt(part, 10));
+    return Date.UTC(2000 + parts[0], parts[1] - 1, parts[2], parts[3], parts[4]) +
+        Math.round(parseFloat(match[6]) * 1000);
+}
+
+/*
+ * The GPS in one sample of the metadata track, with the GPS time
+ * and fix if present, and the positions, scaled as SCAL says.
+ */
+export function gpsPayload(bytes) {
+    const result = { timestamp: null, fix: null, points: [ ] };
+
+    parseGpmf(bytes).filter((item) => item.key == "DEVC").forEach(function(device) {
+        device.children.filter((item) => item.key == "STRM").forEach(function(stream) {
+            let scale = [ 1 ];
+            stream.children.forEach(function(item) {
+                if (item.key == "SCAL") {
+                    scale = gpmfValues(bytes, item);
+                } else if (item.key == "GPSU") {
+                    result.timestamp = gpsTime(gpmfValues(bytes, item));
+                } else if (item.key == "GPSF") {
+                    result.fix = gpmfValues(bytes, item)[0];
+                } else if (item.key == "GPS5") {
+                    const values = gpmfValues(bytes, item);
+                    const scaled = values.map((value, i) => value / (scale.length > 1 ? scale[i % 5] : scale[0]) || 0);
+                    for (let i = 0; i + 5 <= scaled.length; i += 5)
+                        result.points.push({ latitude: scaled[i], longitude: scaled[i + 1], altitude: scaled[i + 2] });
+                }
+            });
+        });
+    });
+
+    return result;
+}
+
+/* Group the samples of a track into spans that are read at once */
+function sampleSpans(track) {
+    const spans = [ ];
+    let span = null;
+    for (const sample of track) {
+        const end = sample.offset + sample.size;
+        if (span && sample.offset >= span.end && sample.offset - span.end <= READ_GAP &&
+            end - span.offset <= READ_SIZE) {
+            span.end = end;
+            span.samples.push(sample);
+        } else {
+            span = { offset: sample.offset, end: end, samples: [ sample ] };
+            spans.push(span);
+        }
+    }
+    return spans;
+}
+
+/*
+ * Read the GPS telemetry of a GoPro MP4, with read(offset, length)
+ * as for media.js. Resolves to null when there's none.
+ */
+export async function mp4Telemetry(read, size) {
+    const track = await mp4Track(read, size, "gpmd");
+    if (!track)
+        return null;
+
+    const samples = [ ];
+    const starts = [ ];
+    let last = -Infinity;
+
+    /* The points of a sample with a fix, one per SAMPLE_INTERVAL */
+    function sampleTelemetry(sample, payload) {
+        if (payload.fix !== null && payload.fix < GPS_FIX)
+            return;
+
+        /* Where the video started according to the GPS clock */
+        if (payload.timestamp !== null)
+            starts.push(payload.timestamp - sample.time * 1000);
+
+        payload.points.forEach(function(point, i) {
+            const time = sample.time + sample.duration * i / payload.points.length;
+            if (time - last < SAMPLE_INTERVAL)
+                return;
+            last = time;
+            samples.push(Object.assign({ time: time }, point));
+        });
+    }
+
+    for (const span of sampleSpans(track)) {
+        const bytes = await read(span.offset, span.end - span.offset);
+        if (!bytes)
+            return null;
+
+        for (const sample of span.samples) {
+            const start = sample.offset - span.offset;
+            sampleTelemetry(sample, gpsPayload(bytes.subarray(start, start + sample.size)));
+        }
+    }
+
+    if (!samples.length)
+        return null;
+
+    starts.sort((a, b) => a - b);
+    return {
+        start: starts.length ? starts[Math.floor(starts.length / 2)] : null,
+        samples: samples,
+    };
+}
+
+/*
+ * A flight log from telemetry for a video that started at a timestamp,
+ * in the same shape as the result of the IGCParser.
+ */
+export function telemetryLog(telemetry, start, pilot) {
+    const fixes = telemetry.samples.map(function(sample) {
+        const timestamp = start + Math.round(sample.time * 1000);
+        return {
+            timestamp: timestamp,
+            time: new Date(timestamp).toISOString().slice(11, 19),
+            latitude: sample.latitude,
+            longitude: sample.longitude,
+            valid: true,
+            pressureAltitude: null,
+            gpsAltitude: sample.altitude,
+            extensions: {},
+            enl: null,
+            fixAccuracy: null,
+        };
+    });
+
+    return {
+        pilot: pilot || "",
+        copilot: null,
+        gliderType: null,
+        registration: null,
+        callsign: null,
+        competitionClass: null,
+        loggerType: "GoPro",
+        loggerManufacturer: null,
+        loggerId: null,
+        date: new Date(start).toISOString().slice(0, 10),
+        task: null,
+        fixes: fixes,
+        dataRecords: [],
+        security: null,
+        errors: [],
+    };
+}
+
+/* The position along the fixes at a timestamp, or null outside them */
+function positionAt(fixes, timestamp) {
+    if (!fixes.length || timestamp < fixes[0].timestamp || timestamp > fixes[fixes.length - 1].timestamp)
+        return null;
+
+    let low = 0;
+    let high = fixes.length - 1;
+    while (high - low > 1) {
+        const middle = (low + high) >> 1;
+        if (fixes[middle].timestamp <= timestamp)
+            low = middle;
+        else
+            high = middle;
+    }
+
+    const a = fixes[low];
+    const b = fixes[high];
+    const ratio = b.timestamp > a.timestamp ? (timestamp - a.timestamp) / (b.timestamp - a.timestamp) : 0;
+    return {
+        latitude: a.latitude + (b.latitude - a.latitude) * ratio,
+        longitude: a.longitude + (b.longitude - a.longitude) * ratio,
+    };
+}
+
+/*
+ * Line up telemetry with the fixes of a flight, by finding the start
+ * within range seconds of the guess where the positions are closest.
+ * At least half of the samples have to be during the flight. Returns
+ * the start in milliseconds and the mean distance in meters, or null
+ * if they don't overlap.
+ */
+export function alignTelemetry(telemetry, fixes, guess, range) {
+    const samples = telemetry.samples;
+    const step = Math.max(1, samples.length / ALIGN_SAMPLES);
+    const points = [ ];
+    for (let i = 0; i < samples.length; i += step)
+        points.push(samples[Math.floor(i)]);
+
+    function error(start, points) {
+        let total = 0;
+        let count = 0;
+        points.forEach(function(point) {
+            const position = positionAt(fixes, start + point.time * 1000);
+            if (position) {
+                total += distance(position, point);
+                count++;
+            }
+        });
+        return count && count >= points.length / 2 ? total / count : Infinity;
+    }
+
+    /* Search coarse to fine around the best so far */
+    let best = null;
+    let least = Infinity;
+    let low = guess - range * 1000;
+    let high = guess + range * 1000;
+    let increment = Math.max(ALIGN_PRECISION, (high - low) / ALIGN_STEPS);
+    for (;;) {
+        for (let start = low; start <= high; start += increment) {
+            const value = error(start, points);
+            if (value < least) {
+                least = value;
+                best = start;
+            }
+        }
+        if (best === null || increment <= ALIGN_PRECISION)
+            break;
+        low = best - increment;
+        high = best + increment;
+        increment = Math.max(ALIGN_PRECISION, increment / 10);
+    }
+
+    if (best === null)
+        return null;
+    return { start: Math.round(best), error: error(best, samples) };
+}
@@ -0,0 +1,148 @@
+import { expect, test } from 'vitest';
+
+import * as gpmf from './gpmf';
+import { mp4Track } from './media';
+
+function uint16(value) {
+    return [ value >> 8, value & 0xFF ];
+}
+
+function uint32(value) {
+    return [ value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF ];
+}
+
+function ascii(value) {
+    return Array.from(value, (c) => c.charCodeAt(0));
+}
+
+/* A GPMF item, nested when type is zero, padded to 32 bits */
+function klv(key, type, size, repeat, values) {
+    const padding = new Array((4 - values.length % 4) % 4).fill(0);
+    return [ ...ascii(key), type ? type.charCodeAt(0) : 0, size, ...uint16(repeat), ...values, ...padding ];
+}
+
+function nested(key, ...items) {
+    const values = items.flat();
+    return klv(key, null, 4, values.length / 4, values);
+}
+
+/* One second of GPS with a GPSU time and points of [ latitude, longitude, altitude ] */
+function payload(time, fix, points) {
+    const values = points.flatMap((point) => [ point[0] * 1e7, point[1] * 1e7, point[2] * 1000, 0, 0 ].map(uint32).flat());
+    return Uint8Array.from(nested("DEVC", nested("STRM",
+        klv("SCAL", "l", 4, 5, [ 1e7, 1e7, 1000, 1000, 100 ].flatMap(uint32)),
+        klv("GPSU", "U", 16, 1, ascii(time)),
+        klv("GPSF", "L", 4, 1, uint32(fix)),
+        klv("GPS5", "l", 20, points.length, values))));
+}
+
+function box(type, ...contents) {
+    const body = contents.flatMap((content) => Array.from(content));
+    return Uint8Array.from([ ...uint32(8 + body.length), ...ascii(type), ...body ]);
+}
+
+function full(type, ...contents) {
+    return box(type, [ 0, 0, 0, 0 ], ...contents);
+}
+
+function concat(...parts) {
+    return Uint8Array.from(parts.flatMap((part) => Array.from(part)));
+}
+
+/* An MP4 with a video track and a GoPro metadata track of the payloads, one per second */
+function makeMp4(payloads) {
+    const ftyp = box("ftyp", ascii("mp41"));
+    const mdat = box("mdat", ...payloads);
+
+    let offset = ftyp.length + 8;
+    const offsets = payloads.map(function(payload) {
+        const result = offset;
+        offset += payload.length;
+        return result;
+    });
+
+    function trak(format, samples) {
+        return box("trak", box("mdia",
+            full("mdhd", uint32(0), uint32(0), uint32(1000), uint32(1000 * samples.length), uint32(0)),
+            box("minf", box("stbl",
+                full("stsd", uint32(1), box(format, new Array(8).fill(0))),
+                full("stts", uint32(1), uint32(samples.length), uint32(1000)),
+                full("stsz", uint32(0), uint32(samples.length), samples.flatMap((sample) => uint32(sample.length))),
+                full("stsc", uint32(1), uint32(1), uint32(1), uint32(1)),
+                full("stco", uint32(samples.length), offsets.flatMap(uint32))))));
+    }
+
+    return concat(ftyp, mdat, box("moov", full("mvhd", new Array(96).fill(0)),
+        trak("avc1", payloads), trak("gpmd", payloads)));
+}
+
+function reader(bytes) {
+    return async function(offset, length) {
+        return bytes.subarray(offset, offset + length);
+    };
+}
+
+test('gpsPayload', function() {
+    const result = gpmf.gpsPayload(payload("241231120000.500", 3, [ [ 46.5, 7.5, 1500 ], [ 46.501, 7.501, 1501.5 ] ]));
+    expect(result.timestamp).toBe(Date.parse("2024-12-31T12:00:00.500Z"));
+    expect(result.fix).toBe(3);
+    expect(result.points.length).toBe(2);
+    expect(result.points[1].latitude).toBeCloseTo(46.501);
+    expect(result.points[1].longitude).toBeCloseTo(7.501);
+    expect(result.points[1].altitude).toBeCloseTo(1501.5);
+});
+
+test('mp4Telemetry', async function() {
+    const file = makeMp4([
+        payload("241231120000.000", 0, [ [ 0, 0, 0 ] ]),
+        payload("241231120001.000", 3, [ [ 46.5, 7.5, 1500 ], [ 46.5001, 7.5, 1500 ] ]),
+        payload("241231120002.000", 3, [ [ 46.501, 7.5, 1510 ], [ 46.5011, 7.5, 1510 ] ]),
+    ]);
+
+    /* The samples next to each other are read at once, after the boxes of the track */
+    let reads = 0;
+    function counted(offset, length) {
+        reads++;
+        return reader(file)(offset, length);
+    }
+    await mp4Track(counted, file.length, "gpmd");
+    const boxes = reads;
+    reads = 0;
+    const telemetry = await gpmf.mp4Telemetry(counted, file.length);
+    expect(reads).toBe(boxes + 1);
+
+    /* The sample without a fix is left out, and there's one sample a second */
+    expect(telemetry.start).toBe(Date.parse("2024-12-31T12:00:00Z"));
+    expect(telemetry.samples.map((sample) => sample.time)).toEqual([ 1, 2 ]);
+    expect(telemetry.samples[1].latitude).toBeCloseTo(46.501);
+    expect(telemetry.samples[1].altitude).toBeCloseTo(1510);
+
+    const log = gpmf.telemetryLog(telemetry, telemetry.start, "Jane");
+    expect(log.pilot).toBe("Jane");
+    expect(log.date).toBe("2024-12-31");
+    expect(log.fixes.map((fix) => fix.time)).toEqual([ "12:00:01", "12:00:02" ]);
+    expect(log.fixes[1].gpsAltitude).toBeCloseTo(1510);
+
+    /* Without a metadata track */
+    const plain = concat(box("ftyp", ascii("mp41")), box("moov", full("mvhd", new Array(96).fill(0))));
+    expect(await gpmf.mp4Telemetry(reader(plain), plain.length)).toBe(null);
+});
+
+test('alignTelemetry', function() {
+    /* A flight heading north at 10 m/s, and a video that started 37 s into it */
+    const start = Date.parse("2024-12-31T12:00:00Z");
+    const fixes = [ ];
+    for (let i = 0; i <= 600; i++)
+        fixes.push({ timestamp: start + i * 1000, latitude: 46 + i * 10 / 111195, longitude: 7 });
+
+    const samples = [ ];
+    for (let i = 0; i < 120; i++)
+        samples.push({ time: i, latitude: fixes[37 + i].latitude, longitude: 7, altitude: 1000 });
+
+    const aligned = gpmf.alignTelemetry({ start: null, samples: samples }, fixes, start + 60 * 1000, 120);
+    expect(Math.abs(aligned.start - (start + 37 * 1000))).toBeLessThanOrEqual(100);
+    expect(aligned.error).toBeLessThan(1);
+
+    /* Nowhere near the flight */
+    expect(gpmf.alignTelemetry({ start: null, samples: samples }, fixes, start + 3600 * 1000, 60)).toBe(null);
+});
@@ -0,0 +1,142 @@
+"use strict";
+
+/*
+ * A parser for GPX tracks that produces the same shape of
+ * result as the IGCParser, so that flights can be loaded from
+ * either. This doesn't use DOMParser so that it can run anywhere.
+ */
+
+const RE_TRKPT = /<trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/trkpt\s*>)/g;
+const RE_METADATA = /<metadata\b[^>]*>([\s\S]*?)<\/metadata\s*>/;
+const RE_AUTHOR = /<author\b[^>]*>([\s\S]*?)<\/author\s*>/;
+const RE_NAME = /<name\b[^>]*>([\s\S]*?)<\/name\s*>/;
+const RE_TIME = /<time\b[^>]*>([\s\S]*?)<\/time\s*>/;
+const RE_ELE = /<ele\b[^>]*>([\s\S]*?)<\/ele\s*>/;
+const RE_TRK = /<trk\b[^>]*>([\s\S]*?)<\/trk\s*>/;
+
+const ENTITIES = {
+    "amp": "&",
+    "lt": "<",
+    "gt": ">",
+    "quot": "\"",
+    "apos": "'",
+};
+
+function decode(text) {
+    return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+        .replace(/&(#x[0-9a-fA-F]+|#[0-9]+|\w+);/g, function(match, entity) {
+            if (entity[0] == "#") {
+                const code = entity[1] == "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return ENTITIES[entity] || match;
+        }).trim();
+}
+
+function element(regex, text) {
+    const match = text ? text.match(regex) : null;
+    return match ? decode(match[1]) : null;
+}
+
+function attribute(name, text) {
+    const match = text.match(new RegExp("\\b" + name + "\\s*=\\s*[\"']([^\"']*)[\"']"));
+    return match ? match[1] : null;
+}
+
+/* The pilot from the GPX metadata, or the file name, or failing that the track name */
+function parsePilot(str, filename) {
+    const metadata = element(RE_METADATA, str);
+    const author = element(RE_AUTHOR, metadata) || element(RE_AUTHOR, str);
+    if (author) {
+        /* GPX 1.1 has a <name> inside <author>, GPX 1.0 has the text directly */
+        const name = element(RE_NAME, author);
+        if (name || !author.includes("<"))
+            return name || author;
+    }
+
+    if (filename) {
+        const base = filename.split("/").pop();
+        const dot = base.lastIndexOf(".");
+        return dot > 0 ? base.slice(0, dot) : base;
+    }
+
+    return element(RE_NAME, element(RE_TRK, str)) || "";
+}
+
+export default class GPXParser {
+    static parse(str, options) {
+        options = options || { };
+
+        const result = {
+            pilot: parsePilot(str, options.filename),
+            copilot: null,
+            gliderType: null,
+            registration: null,
+            callsign: null,
+            competitionClass: null,
+            loggerType: null,
+            loggerManufacturer: null,
+            loggerId: null,
+            date: null,
+            task: null,
+            fixes: [],
+            dataRecords: [],
+            security: null,
+            errors: [],
+        };
+
+        if (!/<gpx\b/.test(str))
+            throw new Error("Not a GPX file");
+
+        let lineNumber = 1;
+        let lastIndex = 0;
+
+        function fail(message) {
+            const error = new Error(message + " at line " + lineNumber);
+            if (!options.lenient)
+                throw error;
+            result.errors.push(error);
+        }
+
+        for (const match of str.matchAll(RE_TRKPT)) {
+            for (let i = lastIndex; i < match.index; i++) {
+                if (str.charCodeAt(i) == 10)
+                    lineNumber++;
+            }
+            lastIndex = match.index;
+
+            const latitude = parseFloat(attribute("lat", match[1]));
+            const longitude = parseFloat(attribute("lon", match[1]));
+            if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+                fail("Invalid track point position");
+                continue;
+            }
+
+            const time = element(RE_TIME, match[2]);
+            const timestamp = time ? Date.parse(time) : NaN;
+            if (isNaN(timestamp)) {
+                fail("Invalid or missing track point time");
+                continue;
+            }
+
+            const ele = parseFloat(element(RE_ELE, match[2]));
+            const date = new Date(timestamp).toISOString();
+
+            result.date = result.date || date.slice(0, 10);
+            result.fixes.push({
+                timestamp: timestamp,
+                time: date.slice(11, 19),
+                latitude: latitude,
+                longitude: longitude,
+                valid: true,
+                pressureAltitude: null,
+                gpsAltitude: isNaN(ele) ? null : ele,
+                extensions: {},
+                enl: null,
+                fixAccuracy: null,
+            });
+        }
+
+        return result;
+    }
+};
@@ -0,0 +1,74 @@
+import { expect, test } from 'vitest';
+
+import GPXParser from './gpx-parser';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Watch" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>Morning flight</name>
+    <author><name>Jane &amp; Co</name></author>
+  </metadata>
+  <trk>
+    <name>Track</name>
+    <trkseg>
+      <trkpt lat="46.5" lon="7.5"><ele>1500.5</ele><time>2024-12-31T12:00:00Z</time></trkpt>
+      <trkpt lat="46.501" lon="7.501">
+        <ele>1502</ele>
+        <time>2024-12-31T12:00:01Z</time>
+      </trkpt>
+      <trkpt lat='46.502' lon='7.502'><time>2024-12-31T12:00:02.500Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+test('parse', function() {
+    const result = GPXParser.parse(GPX);
+    expect(result.pilot).toBe("Jane & Co");
+    expect(result.date).toBe("2024-12-31");
+    expect(result.errors).toStrictEqual([]);
+    expect(result.task).toBe(null);
+    expect(result.fixes.length).toBe(3);
+
+    expect(result.fixes[0]).toStrictEqual({
+        timestamp: Date.parse("2024-12-31T12:00:00Z"),
+        time: "12:00:00",
+        latitude: 46.5,
+        longitude: 7.5,
+        valid: true,
+        pressureAltitude: null,
+        gpsAltitude: 1500.5,
+        extensions: {},
+        enl: null,
+        fixAccuracy: null,
+    });
+    expect(result.fixes[1].gpsAltitude).toBe(1502);
+    expect(result.fixes[2].latitude).toBe(46.502);
+    expect(result.fixes[2].gpsAltitude).toBe(null);
+    expect(result.fixes[2].timestamp).toBe(Date.parse("2024-12-31T12:00:02.500Z"));
+});
+
+test('parse.pilot', function() {
+    /* GPX 1.0 has the author directly */
+    const old = GPX.replace("<author><name>Jane &amp; Co</name></author>", "")
+        .replace("<metadata>", "<author>Old School</author><metadata>");
+    expect(GPXParser.parse(old).pilot).toBe("Old School");
+
+    /* Otherwise from the file name */
+    const anonymous = GPX.replace("<author><name>Jane &amp; Co</name></author>", "");
+    expect(GPXParser.parse(anonymous, { filename: "folder/John Smith.gpx" }).pilot).toBe("John Smith");
+
+    /* Or the track name */
+    expect(GPXParser.parse(anonymous).pilot).toBe("Track");
+});
+
+test('parse.errors', function() {
+    const bad = GPX.replace('<time>2024-12-31T12:00:01Z</time>', '');
+    expect(() => GPXParser.parse(bad)).toThrow(/time at line 11/);
+
+    const result = GPXParser.parse(bad, { lenient: true });
+    expect(result.fixes.length).toBe(2);
+    expect(result.errors.length).toBe(1);
+    expect(result.errors[0].message).toMatch("line 11");
+
+    expect(() => GPXParser.parse("B1234")).toThrow("Not a GPX file");
+});
@@ -0,0 +1,85 @@
+"use strict";
+
+/*
+ * Undo and redo for edits. Each edit is a command with a name, and
+ * run() and undo() functions which may be async:
+ *
+ * {
+ *   name: "Delete flight.igc",
+ *   run: function() { ... },
+ *   undo: function() { ... },
+ * }
+ *
+ * Commands run one at a time in order, even when they're async, so
+ * undoing quickly several times does what you'd expect.
+ */
+
+/* Number of commands that can be undone */
+export const HISTORY_LIMIT = 100;
+
+export class History {
+    constructor(limit) {
+        this.limit = limit || HISTORY_LIMIT;
+        this.done = [ ];
+        this.undone = [ ];
+        this.queue = Promise.resolve();
+    }
+
+    /* Run a command and remember it, resolves once it has run */
+    run(command) {
+        return this.enqueue(async () => {
+            await command.run();
+            this.record(command);
+            return command;
+        });
+    }
+
+    /* Remember a command that has already been done some other way */
+    record(command) {
+        this.done.push(command);
+        if (this.done.length > this.limit)
+            this.done.shift();
+        this.undone = [ ];
+    }
+
+    /* The last command that was done, or null */
+    last() {
+        return this.done.length ? this.done[this.done.length - 1] : null;
+    }
+
+    /* Undo the last command, resolves to it or null if there's nothing to undo */
+    undo() {
+        return this.enqueue(async () => {
+            const command = this.done.pop();
+            if (!command)
+                return null;
+            await command.undo();
+            this.undone.push(command);
+            return command;
+        });
+    }
+
+    /* Run the last undone command again, resolves to it or null */
+    redo() {
+        return this.enqueue(async () => {
+            const command = this.undone.pop();
+            if (!command)
+                return null;
+            await command.run();
+            this.done.push(command);
+            return command;
+        });
+    }
+
+    clear() {
+        this.done = [ ];
+        this.undone = [ ];
+    }
+
+    /* Commands that fail are forgotten, and don't hold up the others */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => null);
+        return result;
+    }
+};
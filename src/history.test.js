@@ -0,0 +1,68 @@
+import { expect, test } from 'vitest';
+
+import { History } from './history';
+
+/* A command that adds to or takes from a counter, after a while */
+function add(state, amount) {
+    return {
+        name: "Add " + amount,
+        run: async function() {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+            state.value += amount;
+        },
+        undo: function() {
+            state.value -= amount;
+        },
+    };
+}
+
+test('History', async function() {
+    const state = { value: 0 };
+    const history = new History();
+
+    await history.run(add(state, 1));
+    await history.run(add(state, 2));
+    expect(state.value).toBe(3);
+    expect(history.last().name).toBe("Add 2");
+
+    expect((await history.undo()).name).toBe("Add 2");
+    expect(state.value).toBe(1);
+    expect((await history.redo()).name).toBe("Add 2");
+    expect(state.value).toBe(3);
+
+    await history.undo();
+    await history.undo();
+    expect(state.value).toBe(0);
+    expect(await history.undo()).toBe(null);
+
+    /* Doing something new forgets what was undone */
+    await history.redo();
+    history.record(add(state, 10));
+    expect(await history.redo()).toBe(null);
+    expect(state.value).toBe(1);
+});
+
+test('History.order', async function() {
+    const state = { value: 0 };
+    const history = new History();
+
+    /* Undo waits for the async run before it */
+    history.run(add(state, 5));
+    await history.undo();
+    expect(state.value).toBe(0);
+
+    /* A failing command is forgotten without stopping the others */
+    const failed = history.run({ name: "Fail", run: () => { throw new Error("Failed"); }, undo: () => {} });
+    await expect(failed).rejects.toThrow("Failed");
+    await history.run(add(state, 1));
+    expect(history.last().name).toBe("Add 1");
+    expect(history.done.length).toBe(1);
+});
+
+test('History.limit', async function() {
+    const state = { value: 0 };
+    const history = new History(2);
+    for (let i = 1; i <= 3; i++)
+        history.record(add(state, i));
+    expect(history.done.map((command) => command.name)).toEqual([ "Add 2", "Add 3" ]);
+});
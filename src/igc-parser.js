@@ -2,8 +2,8 @@
 
 /* eslint semi:off, "no-redeclare":off, "no-useless-escape":off */
 /* Some stub outs */
-function require() { return function () { return "dummy" } }
-const module = { exports: window };
+function require() { return function (value) { return value } }
+const module = { exports: globalThis };
 
 var lookupManufacturer = require('flight-recorder-manufacturers/lookup');
 var ONE_HOUR = 60 * 60 * 1000;
@@ -0,0 +1,61 @@
+"use strict";
+
+import { distance } from "./geo.js";
+import { fixAltitude } from "./flightstats.js";
+
+/* Ground speed in m/s that no glider reaches, faster means a bad fix */
+const MAX_SPEED = 100;
+
+/* Vertical speed in m/s that no glider reaches */
+const MAX_VARIO = 50;
+
+/*
+ * Check a parsed flight log for signs that it's been tampered
+ * with or is broken. The G record is the logger's signature, we
+ * can't verify it without the manufacturer's keys, but its absence
+ * is worth knowing. Returns this, where suspect flights have
+ * parse errors or problems in the fixes:
+ *
+ * {
+ *   signed: true,
+ *   manufacturer: "XCT", loggerId: "abc",
+ *   errors: [ "Invalid B record at line 12: ..." ],
+ *   problems: [ { index, timestamp, message } ],
+ *   suspect: true,
+ * }
+ */
+export function checkIntegrity(igcData) {
+    const report = {
+        signed: !!igcData.security,
+        manufacturer: igcData.loggerManufacturer || null,
+        loggerId: igcData.loggerId || null,
+        errors: (igcData.errors || [ ]).map((error) => error.message || String(error)),
+        problems: [ ],
+        suspect: false,
+    };
+
+    const fixes = igcData.fixes || [ ];
+    for (let i = 1; i < fixes.length; i++) {
+        const previous = fixes[i - 1];
+        const fix = fixes[i];
+        const elapsed = (fix.timestamp - previous.timestamp) / 1000;
+
+        function problem(message) {
+            report.problems.push({ index: i, timestamp: fix.timestamp, message: message });
+        }
+
+        if (elapsed < 0) {
+            problem("Time goes back " + (-elapsed).toFixed(0) + " s");
+        } else if (elapsed > 0) {
+            const speed = distance(previous, fix) / elapsed;
+            if (speed > MAX_SPEED)
+                problem("Speed spike of " + (speed * 3.6).toFixed(0) + " km/h");
+            const vario = Math.abs(fixAltitude(fix) - fixAltitude(previous)) / elapsed;
+            if (vario > MAX_VARIO)
+                problem("Altitude jump of " + vario.toFixed(0) + " m/s");
+        }
+    }
+
+    report.suspect = report.errors.length > 0 || report.problems.length > 0;
+    return report;
+}
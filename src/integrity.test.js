@@ -0,0 +1,48 @@
+import { expect, test } from 'vitest';
+
+import { START, makeFixes } from './fixtures';
+import * as integrity from './integrity';
+
+test('checkIntegrity', function() {
+    const report = integrity.checkIntegrity({
+        loggerManufacturer: "XCT",
+        loggerId: "abc",
+        security: "ABCDEF",
+        fixes: makeFixes(10, 1000),
+        errors: [ ],
+    });
+    expect(report).toEqual({
+        signed: true,
+        manufacturer: "XCT",
+        loggerId: "abc",
+        errors: [ ],
+        problems: [ ],
+        suspect: false,
+    });
+});
+
+test('checkIntegrity.errors', function() {
+    const report = integrity.checkIntegrity({
+        security: null,
+        fixes: [ ],
+        errors: [ new Error("Invalid B record at line 12: B1234") ],
+    });
+    expect(report.signed).toBe(false);
+    expect(report.manufacturer).toBe(null);
+    expect(report.errors).toEqual([ "Invalid B record at line 12: B1234" ]);
+    expect(report.suspect).toBe(true);
+});
+
+test('checkIntegrity.problems', function() {
+    const fixes = makeFixes(10, 1000);
+    fixes[3].timestamp = START;
+    fixes[6].latitude = 47;
+    fixes[8].gpsAltitude = 1500;
+
+    const report = integrity.checkIntegrity({ fixes: fixes });
+    expect(report.suspect).toBe(true);
+    expect(report.problems.map((problem) => problem.index)).toEqual([ 3, 6, 7, 8, 9 ]);
+    expect(report.problems[0].message).toBe("Time goes back 2 s");
+    expect(report.problems[1].message).toMatch(/^Speed spike of \d+ km\/h$/);
+    expect(report.problems[3].message).toBe("Altitude jump of 500 m/s");
+});
@@ -0,0 +1,412 @@
+"use strict";
+
+/*
+ * Find out when a photo or video was taken, and with which camera,
+ * from its metadata. Files are read in parts with an async function
+ * read(offset, length) that resolves to a Uint8Array, so that we
+ * don't have to load all of a big video. The result looks like this:
+ *
+ * {
+ *   timestamp: 1735646400000,
+ *   offset: 7200,
+ *   camera: "GoPro HERO9",
+ *   position: { latitude, longitude, altitude },
+ * }
+ *
+ * The timestamp is in milliseconds as if the clock was at UTC, and
+ * the offset in seconds is the timezone that clock was in, or null
+ * when the file doesn't say. The position is from the GPS of phones
+ * and some cameras, with the altitude in meters above sea level.
+ * Fields are null when unknown.
+ */
+
+/* Seconds from 1904, when MP4 times start, to 1970 */
+const MP4_EPOCH = 2082844800;
+
+/* The EXIF metadata is near the start of a JPEG */
+const JPEG_HEADER = 256 * 1024;
+
+/* Size of a box header, with room for a 64 bit size */
+const BOX_HEADER = 16;
+
+const EXIF_MAKE = 0x010F;
+const EXIF_MODEL = 0x0110;
+const EXIF_DATE_TIME = 0x0132;
+const EXIF_IFD = 0x8769;
+const EXIF_GPS_IFD = 0x8825;
+const EXIF_DATE_TIME_ORIGINAL = 0x9003;
+const EXIF_OFFSET_TIME = 0x9010;
+const EXIF_OFFSET_TIME_ORIGINAL = 0x9011;
+const GPS_LATITUDE_REF = 1;
+const GPS_LATITUDE = 2;
+const GPS_LONGITUDE_REF = 3;
+const GPS_LONGITUDE = 4;
+const GPS_ALTITUDE_REF = 5;
+const GPS_ALTITUDE = 6;
+
+function fourcc(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function text(bytes) {
+    return new TextDecoder().decode(bytes).replace(/\0+$/, "").trim();
+}
+
+/*
+ * The boxes in part of an MP4, each with its type, and start and
+ * end of its contents, as offsets into bytes.
+ */
+function mp4Boxes(bytes, start, end) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const boxes = [ ];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size == 1 && offset + 16 <= end) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size == 0) {
+            size = end - offset;
+        }
+        if (size < header)
+            break;
+        boxes.push({ type: fourcc(bytes, offset + 4), start: offset + header, end: Math.min(end, offset + size) });
+        offset += size;
+    }
+    return boxes;
+}
+
+function mp4Child(bytes, box, type) {
+    return mp4Boxes(bytes, box.start, box.end).find((child) => child.type == type) || null;
+}
+
+/* The creation time in an mvhd or tkhd box in milliseconds, or null if unset */
+function mp4Time(bytes, box) {
+    if (!box)
+        return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const seconds = bytes[box.start] == 1 ? Number(view.getBigUint64(box.start + 4)) : view.getUint32(box.start + 4);
+    return seconds ? (seconds - MP4_EPOCH) * 1000 : null;
+}
+
+/* A QuickTime user data string, either plain or in a data box */
+function mp4String(bytes, box) {
+    if (!box)
+        return null;
+    if (box.end - box.start > 16 && fourcc(bytes, box.start + 4) == "data")
+        return text(bytes.subarray(box.start + 16, box.end));
+    if (box.type.charCodeAt(0) == 0xA9)
+        return text(bytes.subarray(box.start + 4, box.end));
+    return text(bytes.subarray(box.start, box.end));
+}
+
+/* The camera that made an MP4 from its user data */
+function mp4Camera(bytes, moov) {
+    const udta = mp4Child(bytes, moov, "udta");
+    if (!udta)
+        return null;
+
+    /* GoPro put their firmware version here, like HD9.01.01.60.00 */
+    const firmware = mp4String(bytes, mp4Child(bytes, udta, "FIRM"));
+    if (firmware)
+        return "GoPro " + firmware.split(".")[0];
+
+    const make = mp4String(bytes, mp4Child(bytes, udta, "©mak"));
+    const model = mp4String(bytes, mp4Child(bytes, udta, "©mod"));
+    return [ make, model ].filter((part) => part).join(" ") || null;
+}
+
+/* Find the moov box at the top level of an MP4, and read it */
+async function readMoov(read, size) {
+    let offset = 0;
+    while (offset + 8 <= size) {
+        const header = await read(offset, BOX_HEADER);
+        if (!header || header.length < 8)
+            return null;
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        let length = view.getUint32(0);
+        if (length == 1 && header.length >= 16)
+            length = Number(view.getBigUint64(8));
+        else if (length == 0)
+            length = size - offset;
+        if (length < 8)
+            return null;
+
+        if (fourcc(header, 4) == "moov") {
+            const bytes = await read(offset, length);
+            return bytes ? { bytes: bytes, box: mp4Boxes(bytes, 0, bytes.length)[0] } : null;
+        }
+        offset += length;
+    }
+    return null;
+}
+
+export async function mp4Info(read, size) {
+    const result = { timestamp: null, offset: null, camera: null, position: null };
+    const moov = await readMoov(read, size);
+    if (!moov)
+        return result;
+
+    const { bytes, box } = moov;
+    result.timestamp = mp4Time(bytes, mp4Child(bytes, box, "mvhd"));
+
+    /* Some cameras only set the time of the tracks */
+    if (result.timestamp === null) {
+        const trak = mp4Child(bytes, box, "trak");
+        if (trak)
+            result.timestamp = mp4Time(bytes, mp4Child(bytes, trak, "tkhd"));
+    }
+
+    /* MP4 times are UTC, though some cameras get that wrong */
+    if (result.timestamp !== null)
+        result.offset = 0;
+
+    result.camera = mp4Camera(bytes, box);
+    return result;
+}
+
+/*
+ * The entries of a sample table box after its version and count,
+ * each of width bytes, as offsets into bytes.
+ */
+function mp4Table(bytes, box, width) {
+    if (!box || box.end - box.start < 8)
+        return [ ];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const count = Math.min(view.getUint32(box.start + 4), Math.floor((box.end - box.start - 8) / width));
+    return Array.from({ length: count }, (_, i) => box.start + 8 + i * width);
+}
+
+/* Where each sample of a track is in the file, and when it plays */
+function mp4Samples(bytes, mdia, stbl) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const mdhd = mp4Child(bytes, mdia, "mdhd");
+    if (!mdhd)
+        return null;
+    const timescale = view.getUint32(mdhd.start + (bytes[mdhd.start] == 1 ? 20 : 12));
+    if (!timescale)
+        return null;
+
+    /* Sizes are either all the same, or listed after the count */
+    const stsz = mp4Child(bytes, stbl, "stsz");
+    if (!stsz || stsz.end - stsz.start < 12)
+        return null;
+    const fixed = view.getUint32(stsz.start + 4);
+    const sizes = fixed ? new Array(view.getUint32(stsz.start + 8)).fill(fixed) :
+        mp4Table(bytes, { start: stsz.start + 4, end: stsz.end }, 4).map((at) => view.getUint32(at));
+
+    const co64 = mp4Child(bytes, stbl, "co64");
+    const chunks = co64 ? mp4Table(bytes, co64, 8).map((at) => Number(view.getBigUint64(at))) :
+        mp4Table(bytes, mp4Child(bytes, stbl, "stco"), 4).map((at) => view.getUint32(at));
+
+    /* Runs of chunks with the same number of samples in each */
+    const samples = [ ];
+    const runs = mp4Table(bytes, mp4Child(bytes, stbl, "stsc"), 12);
+    runs.forEach(function(at, i) {
+        const first = view.getUint32(at);
+        const last = i + 1 < runs.length ? view.getUint32(runs[i + 1]) - 1 : chunks.length;
+        const count = view.getUint32(at + 4);
+        for (let chunk = first; chunk <= last && chunk <= chunks.length; chunk++) {
+            let offset = chunks[chunk - 1];
+            for (let j = 0; j < count && samples.length < sizes.length; j++) {
+                samples.push({ offset: offset, size: sizes[samples.length], time: 0, duration: 0 });
+                offset += sizes[samples.length - 1];
+            }
+        }
+    });
+
+    /* Runs of samples with the same duration */
+    let time = 0;
+    let index = 0;
+    mp4Table(bytes, mp4Child(bytes, stbl, "stts"), 8).forEach(function(at) {
+        const count = view.getUint32(at);
+        const delta = view.getUint32(at + 4);
+        for (let j = 0; j < count && index < samples.length; j++, index++) {
+            samples[index].time = time / timescale;
+            samples[index].duration = delta / timescale;
+            time += delta;
+        }
+    });
+
+    return samples;
+}
+
+/*
+ * The samples of the first track in an MP4 with a sample entry of
+ * a format, like "gpmd" for GoPro metadata. Resolves to their offset
+ * and size in the file, and time and duration in seconds, or null
+ * without such a track.
+ */
+export async function mp4Track(read, size, format) {
+    const moov = await readMoov(read, size);
+    if (!moov)
+        return null;
+
+    const { bytes, box } = moov;
+    for (const trak of mp4Boxes(bytes, box.start, box.end)) {
+        if (trak.type != "trak")
+            continue;
+        const mdia = mp4Child(bytes, trak, "mdia");
+        const minf = mdia ? mp4Child(bytes, mdia, "minf") : null;
+        const stbl = minf ? mp4Child(bytes, minf, "stbl") : null;
+        const stsd = stbl ? mp4Child(bytes, stbl, "stsd") : null;
+
+        /* The format of the first sample entry, after the version and count */
+        if (stsd && stsd.end - stsd.start >= 16 && fourcc(bytes, stsd.start + 12) == format)
+            return mp4Samples(bytes, mdia, stbl);
+    }
+
+    return null;
+}
+
+/* Read the TIFF structure in an EXIF block */
+function readTiff(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const little = bytes[0] == 0x49;
+    const sizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    function value(type, offset) {
+        switch (type) {
+        case 3:
+            return view.getUint16(offset, little);
+        case 4:
+            return view.getUint32(offset, little);
+        case 9:
+            return view.getInt32(offset, little);
+        case 5:
+            return view.getUint32(offset, little) / view.getUint32(offset + 4, little);
+        case 10:
+            return view.getInt32(offset, little) / view.getInt32(offset + 4, little);
+        default:
+            return bytes[offset];
+        }
+    }
+
+    /* The tags in the IFD at offset, keyed by number */
+    function ifd(offset) {
+        const tags = { };
+        if (!offset || offset + 2 > bytes.length)
+            return tags;
+        const count = view.getUint16(offset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > bytes.length)
+                break;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const number = view.getUint32(entry + 4, little);
+            const length = (sizes[type] || 1) * number;
+            const start = length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+            if (start + length > bytes.length)
+                continue;
+            if (type == 2) {
+                tags[tag] = text(bytes.subarray(start, start + length));
+            } else {
+                const values = [ ];
+                for (let j = 0; j < number; j++)
+                    values.push(value(type, start + j * (sizes[type] || 1)));
+                tags[tag] = values.length == 1 ? values[0] : values;
+            }
+        }
+        return tags;
+    }
+
+    const ifd0 = ifd(view.getUint32(4, little));
+    return {
+        ifd0: ifd0,
+        exif: ifd(ifd0[EXIF_IFD]),
+        gps: ifd(ifd0[EXIF_GPS_IFD]),
+    };
+}
+
+/*
+ * The EXIF tags from the start of a JPEG, as objects keyed by tag
+ * number for IFD0, the EXIF IFD and the GPS IFD, or null if none.
+ */
+export function parseExif(bytes) {
+    if (bytes.length < 4 || bytes[0] != 0xFF || bytes[1] != 0xD8)
+        return null;
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] == 0xFF) {
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+        /* The APP1 segment with Exif\0\0 and then the TIFF data */
+        if (marker == 0xE1 && fourcc(bytes, offset + 4) == "Exif")
+            return readTiff(bytes.subarray(offset + 10, offset + 2 + length));
+
+        /* Start of scan, the image data follows */
+        if (marker == 0xDA)
+            break;
+        offset += 2 + length;
+    }
+
+    return null;
+}
+
+/* An EXIF offset like +02:00 in seconds */
+function exifOffset(value) {
+    const match = /^([+-])(\d\d):(\d\d)$/.exec(value || "");
+    if (!match)
+        return null;
+    return (match[1] == "-" ? -1 : 1) * (parseInt(match[2], 10) * 3600 + parseInt(match[3], 10) * 60);
+}
+
+/* Degrees from EXIF degrees, minutes and seconds */
+function exifDegrees(value, ref, negative) {
+    if (!Array.isArray(value) || value.length != 3 || value.some((part) => !isFinite(part)))
+        return null;
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    return ref == negative ? -degrees : degrees;
+}
+
+/* The position from the EXIF GPS tags, or null without one */
+function exifPosition(gps) {
+    const latitude = exifDegrees(gps[GPS_LATITUDE], gps[GPS_LATITUDE_REF], "S");
+    const longitude = exifDegrees(gps[GPS_LONGITUDE], gps[GPS_LONGITUDE_REF], "W");
+    if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180)
+        return null;
+
+    /* A reference of 1 is below sea level */
+    let altitude = isFinite(gps[GPS_ALTITUDE]) ? gps[GPS_ALTITUDE] : null;
+    if (altitude !== null && gps[GPS_ALTITUDE_REF] == 1)
+        altitude = -altitude;
+
+    return { latitude: latitude, longitude: longitude, altitude: altitude };
+}
+
+export function exifInfo(bytes) {
+    const result = { timestamp: null, offset: null, camera: null, position: null };
+    const exif = parseExif(bytes);
+    if (!exif)
+        return result;
+
+    /* Like 2024:12:31 12:00:00 in the camera's local time */
+    const original = exif.exif[EXIF_DATE_TIME_ORIGINAL];
+    const date = original || exif.ifd0[EXIF_DATE_TIME];
+    const match = /^(\d{4}):(\d\d):(\d\d) (\d\d):(\d\d):(\d\d)/.exec(date || "");
+    if (match) {
+        const parts = match.slice(1).map((part) => parseInt(part, 10));
+        result.timestamp = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+        result.offset = exifOffset(original ? exif.exif[EXIF_OFFSET_TIME_ORIGINAL] : exif.exif[EXIF_OFFSET_TIME]);
+    }
+
+    const make = exif.ifd0[EXIF_MAKE] || "";
+    const model = exif.ifd0[EXIF_MODEL] || "";
+    result.camera = (model.startsWith(make) ? model : (make + " " + model)).trim() || null;
+    result.position = exifPosition(exif.gps);
+    return result;
+}
+
+/* Find out when and with what a photo or video of a mime type was taken */
+export async function mediaInfo(read, size, type) {
+    if (type == "image/jpeg") {
+        const bytes = await read(0, Math.min(size, JPEG_HEADER));
+        return exifInfo(bytes || new Uint8Array(0));
+    } else if (type == "video/mp4" || type == "video/quicktime") {
+        return await mp4Info(read, size);
+    }
+    return { timestamp: null, offset: null, camera: null, position: null };
+}
@@ -0,0 +1,174 @@
+import { expect, test } from 'vitest';
+
+import * as media from './media';
+
+/* An MP4 box with a type and contents */
+function box(type, ...contents) {
+    const body = contents.flatMap((content) => Array.from(content));
+    const size = 8 + body.length;
+    return Uint8Array.from([ size >>> 24, (size >> 16) & 0xFF, (size >> 8) & 0xFF, size & 0xFF,
+        ...Array.from(type, (c) => c.charCodeAt(0)), ...body ]);
+}
+
+function uint32(value) {
+    return [ value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF ];
+}
+
+function ascii(value) {
+    return Array.from(value, (c) => c.charCodeAt(0));
+}
+
+/* Version 0 mvhd or tkhd with a creation time in seconds since 1904 */
+function header(type, seconds) {
+    return box(type, [ 0, 0, 0, 0 ], uint32(seconds), uint32(seconds), new Array(80).fill(0));
+}
+
+function reader(bytes) {
+    return async function(offset, length) {
+        return bytes.subarray(offset, offset + length);
+    };
+}
+
+function concat(...parts) {
+    return Uint8Array.from(parts.flatMap((part) => Array.from(part)));
+}
+
+/* 2024-12-31T12:00:00Z in seconds since 1904 */
+const MP4_TIME = 1735646400 + 2082844800;
+
+test('mp4Info', async function() {
+    const file = concat(
+        box("ftyp", ascii("isom")),
+        box("mdat", new Array(1000).fill(7)),
+        box("moov", header("mvhd", MP4_TIME),
+            box("udta", box("FIRM", ascii("HD9.01.01.60.00")))));
+
+    const info = await media.mp4Info(reader(file), file.length);
+    expect(info).toEqual({ timestamp: Date.parse("2024-12-31T12:00:00Z"), offset: 0, camera: "GoPro HD9", position: null });
+});
+
+test('mp4Info.tkhd', async function() {
+    const file = concat(
+        box("ftyp", ascii("qt  ")),
+        box("moov", header("mvhd", 0), box("trak", header("tkhd", MP4_TIME)),
+            box("udta", box("©mak", [ 0, 5, 0, 0 ], ascii("Apple")), box("©mod", [ 0, 9, 0, 0 ], ascii("iPhone 15")))),
+        box("mdat", new Array(10).fill(7)));
+
+    const info = await media.mp4Info(reader(file), file.length);
+    expect(info).toEqual({ timestamp: Date.parse("2024-12-31T12:00:00Z"), offset: 0, camera: "Apple iPhone 15", position: null });
+
+    /* No moov, no time */
+    const empty = box("ftyp", ascii("isom"));
+    expect(await media.mp4Info(reader(empty), empty.length)).toEqual({ timestamp: null, offset: null, camera: null, position: null });
+});
+
+/* A little endian TIFF IFD entry for an ASCII value stored at offset */
+function entry(tag, type, count, value) {
+    return [ tag & 0xFF, tag >> 8, type & 0xFF, type >> 8,
+        count & 0xFF, (count >> 8) & 0xFF, 0, 0,
+        value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF, value >>> 24 ];
+}
+
+/* A JPEG with EXIF make, model, date and optionally an offset */
+function makeJpeg(date, offset) {
+    const strings = [ "Canon\0", "Canon EOS R5\0", date + "\0" ].concat(offset ? [ offset + "\0" ] : [ ]);
+
+    /* TIFF header, IFD0 with 3 entries at 8, the EXIF IFD follows */
+    const ifd0 = 8;
+    const exif = ifd0 + 2 + 3 * 12 + 4;
+    const exifCount = offset ? 2 : 1;
+    let data = exif + 2 + exifCount * 12 + 4;
+    const offsets = strings.map(function(value) {
+        const at = data;
+        data += value.length;
+        return at;
+    });
+
+    const tiff = [ 0x49, 0x49, 42, 0, 8, 0, 0, 0,
+        3, 0,
+        ...entry(0x010F, 2, strings[0].length, offsets[0]),
+        ...entry(0x0110, 2, strings[1].length, offsets[1]),
+        ...entry(0x8769, 4, 1, exif),
+        0, 0, 0, 0,
+        exifCount, 0,
+        ...entry(0x9003, 2, strings[2].length, offsets[2]),
+        ...(offset ? entry(0x9011, 2, strings[3].length, offsets[3]) : [ ]),
+        0, 0, 0, 0,
+        ...strings.flatMap(ascii) ];
+
+    const length = 2 + 6 + tiff.length;
+    return Uint8Array.from([ 0xFF, 0xD8, 0xFF, 0xE1, length >> 8, length & 0xFF,
+        ...ascii("Exif"), 0, 0, ...tiff, 0xFF, 0xDA, 0, 2, 1, 2, 3 ]);
+}
+
+test('exifInfo', function() {
+    const info = media.exifInfo(makeJpeg("2024:12:31 14:00:00", "+02:00"));
+    expect(info).toEqual({ timestamp: Date.parse("2024-12-31T14:00:00Z"), offset: 7200, camera: "Canon EOS R5", position: null });
+
+    /* Local time without an offset */
+    const local = media.exifInfo(makeJpeg("2024:06:01 08:30:15"));
+    expect(local).toEqual({ timestamp: Date.parse("2024-06-01T08:30:15Z"), offset: null, camera: "Canon EOS R5", position: null });
+
+    expect(media.exifInfo(Uint8Array.from([ 1, 2, 3, 4 ]))).toEqual({ timestamp: null, offset: null, camera: null, position: null });
+});
+
+/* A big endian JPEG with only a GPS IFD */
+function makeGpsJpeg(latitude, longitude, altitude) {
+    const rationals = [ ];
+    function rational(value) {
+        rationals.push(Math.round(value * 1000), 1000);
+    }
+    latitude.slice(1).forEach(rational);
+    longitude.slice(1).forEach(rational);
+    rational(altitude[1]);
+
+    function be16(value) {
+        return [ value >> 8, value & 0xFF ];
+    }
+    function be32(value) {
+        return [ value >>> 24, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF ];
+    }
+    function tag(number, type, count, value) {
+        return [ ...be16(number), ...be16(type), ...be32(count), ...value ];
+    }
+
+    /* IFD0 with just the GPS pointer at 8, then the GPS IFD and its rationals */
+    const gps = 8 + 2 + 12 + 4;
+    const data = gps + 2 + 6 * 12 + 4;
+    const tiff = [ 0x4D, 0x4D, 0, 42, ...be32(8),
+        ...be16(1), ...tag(0x8825, 4, 1, be32(gps)), ...be32(0),
+        ...be16(6),
+        ...tag(1, 2, 2, [ latitude[0].charCodeAt(0), 0, 0, 0 ]),
+        ...tag(2, 5, 3, be32(data)),
+        ...tag(3, 2, 2, [ longitude[0].charCodeAt(0), 0, 0, 0 ]),
+        ...tag(4, 5, 3, be32(data + 24)),
+        ...tag(5, 1, 1, [ altitude[0], 0, 0, 0 ]),
+        ...tag(6, 5, 1, be32(data + 48)),
+        ...be32(0),
+        ...rationals.flatMap(be32) ];
+
+    const length = 2 + 6 + tiff.length;
+    return Uint8Array.from([ 0xFF, 0xD8, 0xFF, 0xE1, length >> 8, length & 0xFF,
+        ...ascii("Exif"), 0, 0, ...tiff ]);
+}
+
+test('exifInfo.gps', function() {
+    const info = media.exifInfo(makeGpsJpeg([ "N", 46, 30, 36 ], [ "E", 7, 15, 0 ], [ 0, 1234.5 ]));
+    expect(info.timestamp).toBe(null);
+    expect(info.position.latitude).toBeCloseTo(46.51);
+    expect(info.position.longitude).toBeCloseTo(7.25);
+    expect(info.position.altitude).toBeCloseTo(1234.5);
+
+    const south = media.exifInfo(makeGpsJpeg([ "S", 33, 52, 0 ], [ "W", 70, 30, 0 ], [ 1, 10 ]));
+    expect(south.position.latitude).toBeCloseTo(-33.8667);
+    expect(south.position.longitude).toBeCloseTo(-70.5);
+    expect(south.position.altitude).toBeCloseTo(-10);
+});
+
+test('mediaInfo', async function() {
+    const jpeg = makeJpeg("2024:12:31 14:00:00", "-05:30");
+    const info = await media.mediaInfo(reader(jpeg), jpeg.length, "image/jpeg");
+    expect(info.offset).toBe(-19800);
+
+    expect(await media.mediaInfo(reader(jpeg), jpeg.length, "image/png")).toEqual({ timestamp: null, offset: null, camera: null, position: null });
+});
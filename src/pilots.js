@@ -0,0 +1,133 @@
+"use strict";
+
+/*
+ * The pilots section of the timeline.json, with the name to show for
+ * each pilot, their color, and the aliases they go by in the flight
+ * logs and videos: IGC pilot names, glider IDs, video owners and
+ * cameras. Pilots are cycled through in the order they're listed.
+ *
+ * "pilots": [
+ *   { "name": "John Smith", "color": "#E74C3C", "aliases": [ "J. SMITH", "HB-1234" ] },
+ * ]
+ *
+ * Names and aliases match regardless of case and spacing.
+ */
+
+/* The key that names and aliases are matched by */
+export function pilotKey(name) {
+    return String(name).trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+export class PilotRegistry {
+    constructor() {
+        this.entries = [ ];
+
+        /* The entries by the keys of their names and aliases */
+        this.keys = { };
+    }
+
+    /*
+     * Add an entry from the timeline.json, or more aliases for a pilot
+     * already listed. Returns the entry, or null when it's invalid.
+     */
+    add(entry) {
+        if (!entry || typeof entry.name != "string" || !entry.name.trim())
+            return null;
+        if (entry.aliases !== undefined && !Array.isArray(entry.aliases))
+            return null;
+
+        let result = this.find(entry.name);
+        if (!result) {
+            result = { name: entry.name.trim(), color: null, aliases: [ ] };
+            this.entries.push(result);
+        }
+        if (typeof entry.color == "string")
+            result.color = entry.color;
+        (entry.aliases || [ ]).forEach((alias) => this.alias(result, alias));
+        this.index();
+        return result;
+    }
+
+    /* The entry for a name or alias, or null */
+    find(name) {
+        if (typeof name != "string")
+            return null;
+        return this.keys[pilotKey(name)] || null;
+    }
+
+    /*
+     * The name of the pilot for the first of the names that's listed,
+     * like the pilot in a flight log and then its glider ID. Without
+     * any listed, the first name as it is.
+     */
+    resolve(...names) {
+        for (const name of names) {
+            const entry = this.find(name);
+            if (entry)
+                return entry.name;
+        }
+        return typeof names[0] == "string" ? names[0] : "";
+    }
+
+    /* Where a pilot is listed, or -1 */
+    order(name) {
+        return this.entries.indexOf(this.find(name));
+    }
+
+    /*
+     * Show a pilot under another name, which keeps the old one as an
+     * alias. When there's a pilot listed with that name already, the
+     * two are merged into it. Returns the entry for the pilot.
+     */
+    rename(from, to) {
+        to = to.trim();
+        const entry = this.find(from) || this.add({ name: from });
+        const target = this.find(to);
+
+        if (target && target != entry) {
+            [ entry.name ].concat(entry.aliases).forEach((alias) => this.alias(target, alias));
+            if (!target.color)
+                target.color = entry.color;
+            this.entries.splice(this.entries.indexOf(entry), 1);
+            this.index();
+            return target;
+        }
+
+        const previous = entry.name;
+        entry.name = to;
+        entry.aliases = entry.aliases.filter((alias) => pilotKey(alias) != pilotKey(to));
+        this.alias(entry, previous);
+        this.index();
+        return entry;
+    }
+
+    /* The pilots section for the timeline.json, or undefined when there's none */
+    save() {
+        if (!this.entries.length)
+            return undefined;
+        return this.entries.map(function(entry) {
+            const result = { name: entry.name };
+            if (entry.color)
+                result.color = entry.color;
+            if (entry.aliases.length)
+                result.aliases = entry.aliases.slice();
+            return result;
+        });
+    }
+
+    alias(entry, alias) {
+        if (typeof alias != "string" || !alias.trim())
+            return;
+        const key = pilotKey(alias);
+        if (key != pilotKey(entry.name) && !entry.aliases.some((other) => pilotKey(other) == key))
+            entry.aliases.push(alias.trim());
+    }
+
+    /* The first entry listed wins when names or aliases clash */
+    index() {
+        this.keys = { };
+        this.entries.slice().reverse().forEach((entry) => {
+            [ entry.name ].concat(entry.aliases).forEach((name) => this.keys[pilotKey(name)] = entry);
+        });
+    }
+};
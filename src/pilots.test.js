@@ -0,0 +1,56 @@
+import { expect, test } from 'vitest';
+
+import { PilotRegistry, pilotKey } from './pilots';
+
+test('pilotKey', function() {
+    expect(pilotKey("  J.  SMITH ")).toBe("j. smith");
+});
+
+test('PilotRegistry', function() {
+    const registry = new PilotRegistry();
+    expect(registry.add({ name: "John Smith", color: "#E74C3C", aliases: [ "J. SMITH", "HB-1234" ] })).not.toBe(null);
+    expect(registry.add({ name: "Jane Doe" })).not.toBe(null);
+    expect(registry.add({ color: "#000000" })).toBe(null);
+    expect(registry.add({ name: "Jim", aliases: "JIM" })).toBe(null);
+
+    /* The pilot name, then the glider ID of a flight log */
+    expect(registry.resolve("j. smith")).toBe("John Smith");
+    expect(registry.resolve("", "HB-1234")).toBe("John Smith");
+    expect(registry.resolve("Somebody", "HB-9999")).toBe("Somebody");
+    expect(registry.resolve("JANE DOE")).toBe("Jane Doe");
+    expect(registry.resolve(null)).toBe("");
+
+    expect(registry.order("HB-1234")).toBe(0);
+    expect(registry.order("Jane Doe")).toBe(1);
+    expect(registry.order("Somebody")).toBe(-1);
+
+    /* More aliases for a listed pilot */
+    registry.add({ name: "john smith", aliases: [ "JS" ] });
+    expect(registry.entries.length).toBe(2);
+    expect(registry.resolve("js")).toBe("John Smith");
+
+    expect(registry.save()).toEqual([
+        { name: "John Smith", color: "#E74C3C", aliases: [ "J. SMITH", "HB-1234", "JS" ] },
+        { name: "Jane Doe" },
+    ]);
+    expect(new PilotRegistry().save()).toBe(undefined);
+});
+
+test('PilotRegistry.rename', function() {
+    const registry = new PilotRegistry();
+    registry.add({ name: "John Smith", aliases: [ "J. SMITH" ] });
+
+    /* A pilot that isn't listed yet, keeping the old name as an alias */
+    expect(registry.rename("JANE", "Jane Doe").name).toBe("Jane Doe");
+    expect(registry.resolve("jane")).toBe("Jane Doe");
+
+    expect(registry.rename("John Smith", "Johnny").aliases).toEqual([ "J. SMITH", "John Smith" ]);
+    expect(registry.resolve("J. SMITH")).toBe("Johnny");
+
+    /* Renaming to a listed pilot merges them */
+    const merged = registry.rename("Jane Doe", "johnny");
+    expect(merged.name).toBe("Johnny");
+    expect(registry.entries.length).toBe(1);
+    expect(registry.resolve("JANE")).toBe("Johnny");
+    expect(registry.resolve("Jane Doe")).toBe("Johnny");
+});
@@ -0,0 +1,17 @@
+"use strict";
+
+import { optimise } from "./scoring.js";
+
+/*
+ * Runs the XC scoring off the main thread, since it takes a while
+ * for long flights. Each message has an id and the fixes, and we
+ * post back the id with the result from optimise().
+ */
+self.onmessage = function(ev) {
+    const { id, fixes } = ev.data;
+    try {
+        self.postMessage({ id: id, result: optimise(fixes) });
+    } catch (ex) {
+        self.postMessage({ id: id, error: String(ex) });
+    }
+};
@@ -0,0 +1,243 @@
+"use strict";
+
+import { distance } from "./geo.js";
+
+/*
+ * Cross country scoring like XContest. We look for the best free
+ * distance via up to three turnpoints, the best flat triangle and
+ * the best FAI triangle, and score them with these multipliers.
+ */
+export const MULTIPLIERS = {
+    free: 1.0,
+    flat: 1.2,
+    fai: 1.4,
+};
+
+/* A triangle is closed if the gap is at most this part of its perimeter */
+const CLOSING_RATIO = 0.2;
+
+/* The shortest leg of a FAI triangle must be this part of its perimeter */
+const FAI_RATIO = 0.28;
+
+/* Number of fixes we sample down to for the searches */
+const FREE_SAMPLES = 400;
+const TRIANGLE_SAMPLES = 150;
+
+/* Evenly sample the indexes of the fixes down to a count */
+function sample(length, count) {
+    const indexes = [ ];
+    const step = Math.max(1, (length - 1) / (count - 1));
+    for (let i = 0; i < length; i += step)
+        indexes.push(Math.round(i));
+    if (indexes[indexes.length - 1] != length - 1)
+        indexes.push(length - 1);
+    return indexes;
+}
+
+/*
+ * Move each of the chosen fix indexes within the gap to its sampled
+ * neighbours, keeping the order, to find a better score in the
+ * full resolution track.
+ */
+function refine(fixes, indexes, step, objective) {
+    let best = objective(indexes);
+    for (let pass = 0; pass < 2; pass++) {
+        for (let k = 0; k < indexes.length; k++) {
+            const low = Math.max(k > 0 ? indexes[k - 1] : 0, indexes[k] - step);
+            const high = Math.min(k < indexes.length - 1 ? indexes[k + 1] : fixes.length - 1, indexes[k] + step);
+            const original = indexes[k];
+            let chosen = original;
+            for (let i = low; i <= high; i++) {
+                indexes[k] = i;
+                const value = objective(indexes);
+                if (value > best) {
+                    best = value;
+                    chosen = i;
+                }
+            }
+            indexes[k] = chosen;
+        }
+    }
+    return best;
+}
+
+function route(fixes, indexes) {
+    return indexes.map((i) => ({
+        latitude: fixes[i].latitude,
+        longitude: fixes[i].longitude,
+        timestamp: fixes[i].timestamp,
+    }));
+}
+
+/* Best open distance from a start, via up to three turnpoints, to a finish */
+export function freeDistance(fixes) {
+    if (!fixes || fixes.length < 2)
+        return null;
+
+    const indexes = sample(fixes.length, FREE_SAMPLES);
+    const n = indexes.length;
+    const legs = 4;
+
+    /* best[k][j] is the longest route of k legs ending at sample j */
+    const best = [ new Float64Array(n) ];
+    const from = [ null ];
+    for (let k = 1; k <= legs; k++) {
+        best.push(new Float64Array(n));
+        from.push(new Int32Array(n));
+        for (let j = 0; j < n; j++) {
+            let value = -1;
+            for (let i = 0; i <= j; i++) {
+                const total = best[k - 1][i] + distance(fixes[indexes[i]], fixes[indexes[j]]);
+                if (total > value) {
+                    value = total;
+                    from[k][j] = i;
+                }
+            }
+            best[k][j] = value;
+        }
+    }
+
+    let end = 0;
+    for (let j = 1; j < n; j++) {
+        if (best[legs][j] > best[legs][end])
+            end = j;
+    }
+
+    const chosen = [ end ];
+    for (let k = legs; k > 0; k--)
+        chosen.unshift(from[k][chosen[0]]);
+
+    const points = chosen.map((i) => indexes[i]);
+    function length(points) {
+        let total = 0;
+        for (let i = 1; i < points.length; i++)
+            total += distance(fixes[points[i - 1]], fixes[points[i]]);
+        return total;
+    }
+
+    const step = Math.ceil(fixes.length / n);
+    const total = refine(fixes, points, step, length);
+
+    return {
+        type: "free",
+        distance: total,
+        score: total * MULTIPLIERS.free / 1000,
+        points: route(fixes, points),
+        closed: false,
+    };
+}
+
+/*
+ * Best closed triangle from the fixes. When fai is true the shortest
+ * leg has to be at least 28% of the perimeter. The distance is the
+ * perimeter minus the closing gap between start and finish.
+ */
+export function triangle(fixes, fai) {
+    if (!fixes || fixes.length < 3)
+        return null;
+
+    const indexes = sample(fixes.length, TRIANGLE_SAMPLES);
+    const n = indexes.length;
+
+    const matrix = new Float64Array(n * n);
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++)
+            matrix[i * n + j] = matrix[j * n + i] = distance(fixes[indexes[i]], fixes[indexes[j]]);
+    }
+
+    /* close[a * n + c] is the smallest gap between a start before a and finish after c */
+    const close = new Float64Array(n * n);
+    const start = new Int32Array(n * n);
+    const finish = new Int32Array(n * n);
+    for (let a = 0; a < n; a++) {
+        for (let c = n - 1; c >= a; c--) {
+            const at = a * n + c;
+            close[at] = matrix[at];
+            start[at] = a;
+            finish[at] = c;
+            if (a > 0 && close[at - n] < close[at]) {
+                close[at] = close[at - n];
+                start[at] = start[at - n];
+                finish[at] = finish[at - n];
+            }
+            if (c < n - 1 && close[at + 1] < close[at]) {
+                close[at] = close[at + 1];
+                start[at] = start[at + 1];
+                finish[at] = finish[at + 1];
+            }
+        }
+    }
+
+    function valid(ab, bc, ca, gap) {
+        const perimeter = ab + bc + ca;
+        if (perimeter <= 0 || gap > CLOSING_RATIO * perimeter)
+            return -1;
+        if (fai && Math.min(ab, bc, ca) < FAI_RATIO * perimeter)
+            return -1;
+        return perimeter - gap;
+    }
+
+    let best = -1;
+    let chosen = null;
+    for (let a = 0; a < n; a++) {
+        for (let c = a + 2; c < n; c++) {
+            const ca = matrix[a * n + c];
+            const gap = close[a * n + c];
+            for (let b = a + 1; b < c; b++) {
+                const value = valid(matrix[a * n + b], matrix[b * n + c], ca, gap);
+                if (value > best) {
+                    best = value;
+                    chosen = [ a, b, c ];
+                }
+            }
+        }
+    }
+
+    if (!chosen)
+        return null;
+
+    const gap = [ start[chosen[0] * n + chosen[2]], finish[chosen[0] * n + chosen[2]] ].map((i) => indexes[i]);
+    const points = chosen.map((i) => indexes[i]);
+
+    /* Refine the turnpoints with the start and finish fixed */
+    const closing = distance(fixes[gap[0]], fixes[gap[1]]);
+    const step = Math.ceil(fixes.length / n);
+    const total = refine(fixes, points, step, function(points) {
+        if (points[0] < gap[0] || points[2] > gap[1])
+            return -1;
+        return valid(distance(fixes[points[0]], fixes[points[1]]),
+            distance(fixes[points[1]], fixes[points[2]]),
+            distance(fixes[points[2]], fixes[points[0]]), closing);
+    });
+
+    const type = fai ? "fai" : "flat";
+    return {
+        type: type,
+        distance: total,
+        score: total * MULTIPLIERS[type] / 1000,
+        points: route(fixes, [ gap[0] ].concat(points, [ gap[1] ])),
+        closed: true,
+    };
+}
+
+/*
+ * Optimise a flight for all the kinds of scoring. Returns each of
+ * them, with null for those that aren't possible, and the best. The
+ * points are the start, turnpoints and finish. Scores are in points
+ * per kilometer times the multiplier.
+ */
+export function optimise(fixes) {
+    const result = {
+        free: freeDistance(fixes),
+        flat: triangle(fixes, false),
+        fai: triangle(fixes, true),
+        best: null,
+    };
+
+    [ result.free, result.flat, result.fai ].forEach(function(item) {
+        if (item && (!result.best || item.score > result.best.score))
+            result.best = item;
+    });
+
+    return result;
+}
@@ -0,0 +1,95 @@
+import { expect, test } from 'vitest';
+
+import { METER, START, makeFix } from './fixtures';
+import { distance } from './geo';
+import * as scoring from './scoring';
+
+/* Fly in straight lines through the corners, one fix per second at 10 m/s */
+function makeFlight(corners) {
+    const fixes = [ ];
+    for (let i = 1; i < corners.length; i++) {
+        const from = corners[i - 1];
+        const to = corners[i];
+        const steps = Math.round(distance(from, to) / 10);
+        for (let j = 0; j < steps; j++) {
+            fixes.push(makeFix(fixes.length,
+                from.latitude + (to.latitude - from.latitude) * j / steps,
+                from.longitude + (to.longitude - from.longitude) * j / steps));
+        }
+    }
+    const last = corners[corners.length - 1];
+    fixes.push(makeFix(fixes.length, last.latitude, last.longitude));
+    return fixes;
+}
+
+function corner(north, east) {
+    return { latitude: 46 + north * METER, longitude: 7 + east * METER / Math.cos(46 * Math.PI / 180) };
+}
+
+test('freeDistance', function() {
+    expect(scoring.freeDistance([])).toBe(null);
+
+    /* A dog leg flight */
+    const fixes = makeFlight([ corner(0, 0), corner(10000, 0), corner(10000, 10000) ]);
+    const result = scoring.freeDistance(fixes);
+    expect(result.type).toBe("free");
+    expect(result.closed).toBe(false);
+    expect(result.distance).toBeGreaterThan(19900);
+    expect(result.distance).toBeLessThan(20100);
+    expect(result.score).toBeCloseTo(result.distance / 1000);
+    expect(result.points.length).toBe(5);
+    expect(result.points[0].timestamp).toBe(START);
+});
+
+test('triangle', function() {
+    /* An equilateral-ish triangle, back to the start */
+    const fixes = makeFlight([ corner(0, 0), corner(10000, 0), corner(5000, 8660), corner(0, 0) ]);
+
+    const fai = scoring.triangle(fixes, true);
+    expect(fai.type).toBe("fai");
+    expect(fai.closed).toBe(true);
+    expect(fai.distance).toBeGreaterThan(29000);
+    expect(fai.distance).toBeLessThan(30100);
+    expect(fai.score).toBeCloseTo(fai.distance * 1.4 / 1000);
+    expect(fai.points.length).toBe(5);
+
+    const flat = scoring.triangle(fixes, false);
+    expect(flat.distance).toBeGreaterThanOrEqual(fai.distance - 1);
+
+    /* The best is the FAI triangle */
+    const result = scoring.optimise(fixes);
+    expect(result.best.type).toBe("fai");
+    expect(result.free.type).toBe("free");
+});
+
+test('triangle.open', function() {
+    /* A straight line isn't a closed triangle */
+    const fixes = makeFlight([ corner(0, 0), corner(20000, 0) ]);
+    expect(scoring.triangle(fixes, false)).toBe(null);
+    expect(scoring.triangle(fixes, true)).toBe(null);
+    expect(scoring.optimise(fixes).best.type).toBe("free");
+});
+
+test('triangle.flat', function() {
+    /* A long thin triangle only has a small FAI triangle in it */
+    const fixes = makeFlight([ corner(0, 0), corner(20000, 0), corner(20000, 3000), corner(0, 0) ]);
+    const flat = scoring.triangle(fixes, false);
+    expect(flat.type).toBe("flat");
+    expect(flat.distance).toBeGreaterThan(42000);
+    expect(scoring.triangle(fixes, true).distance).toBeLessThan(flat.distance / 2);
+    expect(scoring.optimise(fixes).best.type).toBe("flat");
+});
+
+test('optimise.large', function() {
+    /* Needs to stay quick with a long log */
+    const corners = [ corner(0, 0) ];
+    for (let i = 1; i <= 20; i++)
+        corners.push(corner(i * 5000, (i % 2) * 5000));
+    const fixes = makeFlight(corners);
+    expect(fixes.length).toBeGreaterThan(10000);
+
+    const start = performance.now();
+    const result = scoring.optimise(fixes);
+    expect(performance.now() - start).toBeLessThan(5000);
+    expect(result.best.type).toBe("free");
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+/*
+ * Tolerances in meters for each level of detail of a track. The
+ * first is the full resolution, and each is four times coarser.
+ */
+export const DETAIL_TOLERANCES = [ 0, 1, 4, 16, 64, 256 ];
+
+/* The squared distance from point p to the segment from a to b, all offsets into positions */
+function segmentDistance(positions, p, a, b) {
+    let t = 0;
+    let length = 0;
+    const d = [ 0, 0, 0 ];
+    for (let k = 0; k < 3; k++) {
+        d[k] = positions[b + k] - positions[a + k];
+        t += (positions[p + k] - positions[a + k]) * d[k];
+        length += d[k] * d[k];
+    }
+
+    t = length > 0 ? Math.max(0, Math.min(1, t / length)) : 0;
+
+    let result = 0;
+    for (let k = 0; k < 3; k++) {
+        const offset = positions[p + k] - positions[a + k] - t * d[k];
+        result += offset * offset;
+    }
+    return result;
+}
+
+/*
+ * Douglas-Peucker simplification of x, y, z triples in positions.
+ * Returns the indexes of the points to keep, so that no point that
+ * is left out is further than tolerance from the simplified line.
+ */
+export function simplify(positions, tolerance) {
+    const count = Math.floor(positions.length / 3);
+    if (count <= 2 || !(tolerance > 0))
+        return Int32Array.from({ length: count }, (value, i) => i);
+
+    const keep = new Uint8Array(count);
+    keep[0] = keep[count - 1] = 1;
+
+    const limit = tolerance * tolerance;
+    const stack = [ 0, count - 1 ];
+    while (stack.length) {
+        const last = stack.pop();
+        const first = stack.pop();
+
+        let furthest = -1;
+        let most = limit;
+        for (let i = first + 1; i < last; i++) {
+            const value = segmentDistance(positions, i * 3, first * 3, last * 3);
+            if (value > most) {
+                most = value;
+                furthest = i;
+            }
+        }
+
+        if (furthest >= 0) {
+            keep[furthest] = 1;
+            stack.push(first, furthest, furthest, last);
+        }
+    }
+
+    const result = [ ];
+    keep.forEach(function(value, i) {
+        if (value)
+            result.push(i);
+    });
+    return Int32Array.from(result);
+}
+
+/* The indexes kept for each of the DETAIL_TOLERANCES */
+export function detailLevels(positions) {
+    return DETAIL_TOLERANCES.map((tolerance) => simplify(positions, tolerance));
+}
@@ -0,0 +1,55 @@
+import { expect, test } from 'vitest';
+
+import * as simplify from './simplify';
+
+function makePositions(points) {
+    return Float64Array.from(points.flat());
+}
+
+test('simplify', function() {
+    /* A straight line only needs its ends */
+    const line = makePositions([ [ 0, 0, 0 ], [ 1, 0, 0 ], [ 2, 0, 0 ], [ 3, 0, 0 ] ]);
+    expect(Array.from(simplify.simplify(line, 0.5))).toEqual([ 0, 3 ]);
+
+    /* Full resolution without a tolerance */
+    expect(Array.from(simplify.simplify(line, 0))).toEqual([ 0, 1, 2, 3 ]);
+
+    /* A corner is kept, small wiggles aren't */
+    const corner = makePositions([ [ 0, 0, 0 ], [ 5, 0.2, 0 ], [ 10, 0, 0 ], [ 10, 5, 0.3 ], [ 10, 10, 0 ] ]);
+    expect(Array.from(simplify.simplify(corner, 1))).toEqual([ 0, 2, 4 ]);
+    expect(Array.from(simplify.simplify(corner, 0.1))).toEqual([ 0, 1, 2, 3, 4 ]);
+
+    /* Heights count too */
+    const climb = makePositions([ [ 0, 0, 0 ], [ 0, 0, 50 ], [ 0, 0, 0 ] ]);
+    expect(Array.from(simplify.simplify(climb, 10))).toEqual([ 0, 1, 2 ]);
+
+    expect(simplify.simplify(new Float64Array(0), 1).length).toBe(0);
+    expect(Array.from(simplify.simplify(makePositions([ [ 1, 2, 3 ] ]), 1))).toEqual([ 0 ]);
+});
+
+test('simplify.tolerance', function() {
+    /* A circling track, nothing left out is further than the tolerance */
+    const points = [ ];
+    for (let i = 0; i < 2000; i++)
+        points.push([ 50 * Math.cos(i / 20) + i, 50 * Math.sin(i / 20), i / 4 ]);
+    const positions = makePositions(points);
+
+    const levels = simplify.detailLevels(positions);
+    expect(levels.length).toBe(simplify.DETAIL_TOLERANCES.length);
+    expect(levels[0].length).toBe(2000);
+    for (let level = 1; level < levels.length; level++)
+        expect(levels[level].length).toBeLessThan(levels[level - 1].length);
+
+    const kept = levels[2];
+    const tolerance = simplify.DETAIL_TOLERANCES[2];
+    for (let k = 1; k < kept.length; k++) {
+        const a = points[kept[k - 1]];
+        const d = points[kept[k]].map((value, axis) => value - a[axis]);
+        const length = d.reduce((total, value) => total + value * value, 0);
+        for (let i = kept[k - 1] + 1; i < kept[k]; i++) {
+            const p = points[i].map((value, axis) => value - a[axis]);
+            const t = Math.max(0, Math.min(1, p.reduce((total, value, axis) => total + value * d[axis], 0) / length));
+            expect(Math.hypot(...p.map((value, axis) => value - t * d[axis]))).toBeLessThanOrEqual(tolerance);
+        }
+    }
+});
@@ -0,0 +1,77 @@
+"use strict";
+
+import { distance } from "./geo.js";
+
+/* Radius in meters of turnpoint cylinders, IGC task declarations don't have one */
+export const TURNPOINT_RADIUS = 400;
+
+/*
+ * The turnpoints of an IGC task declaration, as parsed into
+ * result.task by the IGCParser. Takeoff and landing are often
+ * declared at 0,0 which means they're unset, so leave them out.
+ */
+export function taskTurnpoints(task) {
+    if (!task || !task.points)
+        return [ ];
+
+    return task.points.filter((point) => point.latitude || point.longitude)
+        .map((point, index) => ({
+            name: point.name || "TP" + index,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            radius: TURNPOINT_RADIUS,
+        }));
+}
+
+/* The distance in meters from the first turnpoint to each of the turnpoints */
+export function taskDistances(turnpoints) {
+    const result = [ ];
+    let total = 0;
+    turnpoints.forEach(function(turnpoint, i) {
+        if (i > 0)
+            total += distance(turnpoints[i - 1], turnpoint);
+        result.push(total);
+    });
+    return result;
+}
+
+/*
+ * The timestamp at which each turnpoint was reached, in order,
+ * or null for those never reached.
+ */
+export function taskReached(turnpoints, fixes) {
+    const reached = turnpoints.map(() => null);
+    let next = 0;
+
+    for (let i = 0; i < fixes.length && next < turnpoints.length; i++) {
+        if (distance(fixes[i], turnpoints[next]) <= turnpoints[next].radius)
+            reached[next++] = fixes[i].timestamp;
+    }
+
+    return reached;
+}
+
+/*
+ * How far along the task we are at a timestamp and position. Returns
+ * the number of turnpoints reached, and the distance done and total
+ * distance in meters along the course line.
+ */
+export function taskProgress(turnpoints, reached, position, timestamp) {
+    const distances = taskDistances(turnpoints);
+    const total = distances.length ? distances[distances.length - 1] : 0;
+
+    let count = 0;
+    while (count < reached.length && reached[count] !== null && reached[count] <= timestamp)
+        count++;
+
+    let done = 0;
+    if (count == turnpoints.length) {
+        done = total;
+    } else if (count > 0) {
+        const leg = distances[count] - distances[count - 1];
+        const remaining = position ? distance(position, turnpoints[count]) : leg;
+        done = distances[count - 1] + Math.max(0, Math.min(leg, leg - remaining));
+    }
+
+    return { reached: count, distance: done, total: total };
+}
@@ -0,0 +1,74 @@
+import { expect, test } from 'vitest';
+
+import { METER, START, makeFix } from './fixtures';
+import { distance } from './geo';
+import * as task from './task';
+
+const declaration = {
+    numTurnpoints: 1,
+    points: [
+        { latitude: 0, longitude: 0, name: "TAKEOFF" },
+        { latitude: 46, longitude: 7, name: "START" },
+        { latitude: 46 + 5000 * METER, longitude: 7, name: "TP1" },
+        { latitude: 46 + 10000 * METER, longitude: 7, name: null },
+        { latitude: 0, longitude: 0, name: "LANDING" },
+    ],
+};
+
+/* Fly north at 10 m/s from the start */
+function flyNorth(seconds) {
+    return Array.from({ length: seconds + 1 }, (_, i) => makeFix(i, 46 + i * 10 * METER, 7));
+}
+
+test('taskTurnpoints', function() {
+    expect(task.taskTurnpoints(null)).toStrictEqual([]);
+
+    const turnpoints = task.taskTurnpoints(declaration);
+    expect(turnpoints.length).toBe(3);
+    expect(turnpoints[0]).toStrictEqual({ name: "START", latitude: 46, longitude: 7, radius: task.TURNPOINT_RADIUS });
+    expect(turnpoints[2].name).toBe("TP2");
+});
+
+test('taskDistances', function() {
+    const distances = task.taskDistances(task.taskTurnpoints(declaration));
+    expect(distances[0]).toBe(0);
+    expect(distances[1]).toBeCloseTo(5000, 0);
+    expect(distances[2]).toBeCloseTo(10000, 0);
+    expect(task.taskDistances([])).toStrictEqual([]);
+});
+
+test('taskReached', function() {
+    const turnpoints = task.taskTurnpoints(declaration);
+
+    /* Only got to the first turnpoint */
+    const reached = task.taskReached(turnpoints, flyNorth(600));
+    expect(reached[0]).toBe(START);
+    expect(reached[1]).toBe(START + 460 * 1000);
+    expect(reached[2]).toBe(null);
+
+    /* All the way */
+    expect(task.taskReached(turnpoints, flyNorth(1000))[2]).toBe(START + 960 * 1000);
+});
+
+test('taskProgress', function() {
+    const turnpoints = task.taskTurnpoints(declaration);
+    const fixes = flyNorth(1000);
+    const reached = task.taskReached(turnpoints, fixes);
+
+    let progress = task.taskProgress(turnpoints, reached, fixes[0], START - 1000);
+    expect(progress.reached).toBe(0);
+    expect(progress.distance).toBe(0);
+    expect(progress.total).toBeCloseTo(10000, 0);
+
+    progress = task.taskProgress(turnpoints, reached, fixes[200], fixes[200].timestamp);
+    expect(progress.reached).toBe(1);
+    expect(progress.distance).toBeCloseTo(2000, 0);
+
+    progress = task.taskProgress(turnpoints, reached, fixes[700], fixes[700].timestamp);
+    expect(progress.reached).toBe(2);
+    expect(progress.distance).toBeCloseTo(distance(fixes[0], fixes[700]), 0);
+
+    progress = task.taskProgress(turnpoints, reached, fixes[1000], fixes[1000].timestamp);
+    expect(progress.reached).toBe(3);
+    expect(progress.distance).toBe(progress.total);
+});
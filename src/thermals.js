@@ -0,0 +1,138 @@
+"use strict";
+
+import { bearing, distance } from "./geo.js";
+import { fixAltitude } from "./flightstats.js";
+
+/* Seconds over which the turn rate is averaged */
+const TURN_WINDOW = 20;
+
+/* Degrees per second of sustained turning in one direction to count as circling */
+const MIN_TURN_RATE = 8;
+
+/* Minimum seconds of circling to be a thermal */
+const MIN_DURATION = 30;
+
+/* Minimum average climb in m/s to be a thermal */
+const MIN_CLIMB = 0.3;
+
+/* Gaps of this many seconds in circling are joined together */
+const MAX_GAP = 15;
+
+/* Below this movement in meters the heading between fixes is meaningless */
+const MIN_MOVEMENT = 1;
+
+/*
+ * Compute the turn in degrees at each fix, signed so that turning
+ * right is positive and turning left is negative.
+ */
+function turns(fixes) {
+    const result = new Float64Array(fixes.length);
+    let heading = null;
+
+    for (let i = 1; i < fixes.length; i++) {
+        if (distance(fixes[i - 1], fixes[i]) < MIN_MOVEMENT)
+            continue;
+        const next = bearing(fixes[i - 1], fixes[i]);
+        if (heading !== null)
+            result[i] = ((next - heading + 540) % 360) - 180;
+        heading = next;
+    }
+
+    return result;
+}
+
+/* Find the [start, stop] index ranges where the fixes are circling */
+function circling(fixes) {
+    const turn = turns(fixes);
+    const ranges = [ ];
+
+    /* Whether an individual fix is turning at all */
+    function turning(i) {
+        const elapsed = i > 0 ? (fixes[i].timestamp - fixes[i - 1].timestamp) / 1000 : 0;
+        return elapsed > 0 && Math.abs(turn[i]) / elapsed >= MIN_TURN_RATE / 2;
+    }
+
+    let from = 0;
+    let sum = 0;
+    let range = null;
+
+    for (let i = 0; i < fixes.length; i++) {
+        sum += turn[i];
+        while (from < i && (fixes[i].timestamp - fixes[from].timestamp) / 1000 > TURN_WINDOW) {
+            sum -= turn[from + 1];
+            from++;
+        }
+
+        /* Turning in one direction, not just zig-zagging */
+        const elapsed = (fixes[i].timestamp - fixes[from].timestamp) / 1000;
+        if (elapsed <= 0 || Math.abs(sum) / elapsed < MIN_TURN_RATE)
+            continue;
+
+        if (range && (fixes[from].timestamp - fixes[range[1]].timestamp) / 1000 <= MAX_GAP) {
+            range[1] = i;
+        } else {
+            range = [ from, i ];
+            ranges.push(range);
+        }
+    }
+
+    /* The window overhangs the actual circling, so trim the ends */
+    ranges.forEach(function(range) {
+        while (range[0] < range[1] && !turning(range[0]))
+            range[0]++;
+        while (range[1] > range[0] && !turning(range[1]))
+            range[1]--;
+    });
+
+    return ranges;
+}
+
+/*
+ * Detect the thermals in a flight. These are circling climbs that
+ * last long enough and climb fast enough. Each thermal has its start
+ * and stop timestamps and fix indexes, the average position, the base
+ * and top altitude, the gain in meters and the average climb in m/s.
+ */
+export function detectThermals(fixes) {
+    const thermals = [ ];
+    if (!fixes || fixes.length < 2)
+        return thermals;
+
+    circling(fixes).forEach(function([ start, stop ]) {
+        const duration = (fixes[stop].timestamp - fixes[start].timestamp) / 1000;
+        if (duration < MIN_DURATION)
+            return;
+
+        const gain = fixAltitude(fixes[stop]) - fixAltitude(fixes[start]);
+        const climb = gain / duration;
+        if (climb < MIN_CLIMB)
+            return;
+
+        let latitude = 0;
+        let longitude = 0;
+        let base = fixAltitude(fixes[start]);
+        let top = base;
+        for (let i = start; i <= stop; i++) {
+            const altitude = fixAltitude(fixes[i]);
+            base = Math.min(base, altitude);
+            top = Math.max(top, altitude);
+            latitude += fixes[i].latitude;
+            longitude += fixes[i].longitude;
+        }
+
+        thermals.push({
+            start: fixes[start].timestamp,
+            stop: fixes[stop].timestamp,
+            startIndex: start,
+            stopIndex: stop,
+            latitude: latitude / (stop - start + 1),
+            longitude: longitude / (stop - start + 1),
+            base: base,
+            top: top,
+            gain: gain,
+            climb: climb,
+        });
+    });
+
+    return thermals;
+}
@@ -0,0 +1,75 @@
+import { expect, test } from 'vitest';
+
+import { METER, makeFix } from './fixtures';
+import { detectThermals } from './thermals';
+
+/*
+ * Build a flight gliding north, then circling in a climb for
+ * the given number of seconds, then gliding north again.
+ */
+function makeFlight(seconds, climb) {
+    const fixes = [ ];
+    let latitude = 46;
+    let altitude = 1500;
+
+    function push() {
+        fixes.push(makeFix(fixes.length, latitude, 7, Math.round(altitude)));
+    }
+
+    for (let i = 0; i < 60; i++) {
+        latitude += 10 * METER;
+        altitude -= 1;
+        push();
+    }
+
+    /* Circles of 50m radius, 20 seconds per turn */
+    const center = latitude;
+    for (let i = 0; i < seconds; i++) {
+        const angle = (i / 20) * 2 * Math.PI;
+        const lat = center + 50 * METER * (1 - Math.cos(angle));
+        const lon = 7 + 50 * METER * Math.sin(angle) / Math.cos(46 * Math.PI / 180);
+        altitude += climb;
+        fixes.push(makeFix(fixes.length, lat, lon, Math.round(altitude)));
+    }
+
+    for (let i = 0; i < 60; i++) {
+        latitude += 10 * METER;
+        altitude -= 1;
+        push();
+    }
+
+    return fixes;
+}
+
+test('detectThermals', function() {
+    const fixes = makeFlight(120, 2);
+    const thermals = detectThermals(fixes);
+    expect(thermals.length).toBe(1);
+
+    const thermal = thermals[0];
+    expect(thermal.startIndex).toBeGreaterThanOrEqual(50);
+    expect(thermal.stopIndex).toBeLessThanOrEqual(190);
+    expect(thermal.start).toBe(fixes[thermal.startIndex].timestamp);
+    expect(thermal.stop).toBe(fixes[thermal.stopIndex].timestamp);
+    expect(thermal.climb).toBeGreaterThan(1);
+    expect(thermal.climb).toBeLessThan(2.5);
+    expect(thermal.top).toBeGreaterThan(thermal.base + 150);
+    expect(thermal.latitude).toBeCloseTo(46 + 600 * METER + 50 * METER, 3);
+    expect(thermal.longitude).toBeCloseTo(7, 3);
+});
+
+test('detectThermals.sinking', function() {
+    /* Circling while sinking is not a thermal */
+    expect(detectThermals(makeFlight(120, -1))).toStrictEqual([]);
+});
+
+test('detectThermals.short', function() {
+    /* A single turn is not a thermal */
+    expect(detectThermals(makeFlight(20, 2))).toStrictEqual([]);
+});
+
+test('detectThermals.straight', function() {
+    expect(detectThermals(makeFlight(0, 0))).toStrictEqual([]);
+    expect(detectThermals([])).toStrictEqual([]);
+    expect(detectThermals(null)).toStrictEqual([]);
+});
@@ -0,0 +1,198 @@
+"use strict";
+
+import { JulianDate } from "cesium";
+
+/*
+ * Ranges drawn over the Cesium timeline for flights and videos,
+ * like its highlight ranges, except that these can be dragged to
+ * retime things. Only the public parts of the timeline are used,
+ * its container and the setzoom event it sends when zoomed or
+ * panned. Ranges are positioned in percent so they follow resizes.
+ */
+
+/* Pixels within which a dragged range snaps to other times */
+export const SNAP_PIXELS = 8;
+
+/* Pixels a range has to move before it's dragged rather than clicked */
+const DRAG_PIXELS = 3;
+
+export class TimelineOverlay {
+    constructor(timeline, clock) {
+        this.clock = clock;
+        this.ranges = [ ];
+        this.start = null;
+        this.stop = null;
+
+        /* Returns the times that dragged ranges snap to */
+        this.snapTimes = () => [ ];
+
+        const element = document.createElement("div");
+        element.className = "timeline-overlay";
+        timeline.container.appendChild(element);
+        this.element = element;
+
+        this.container = timeline.container;
+        this._zoom = (ev) => this.zoom(ev.startJulian, ev.endJulian);
+        this.container.addEventListener("setzoom", this._zoom);
+
+        /* The timeline starts out showing the clock */
+        this.zoom(clock.startTime, clock.stopTime);
+    }
+
+    zoom(start, stop) {
+        if (!start || !stop || JulianDate.lessThanOrEquals(stop, start))
+            return;
+        this.start = JulianDate.clone(start, this.start || undefined);
+        this.stop = JulianDate.clone(stop, this.stop || undefined);
+        this.ranges.forEach((range) => range.render());
+    }
+
+    /* A range of a color and height in pixels, that far above the bottom */
+    addRange(color, height, base) {
+        const range = new TimelineRange(this, color, height, base);
+        this.ranges.push(range);
+        return range;
+    }
+
+    /* Seconds on the timeline per pixel */
+    secondsPerPixel() {
+        return JulianDate.secondsDifference(this.stop, this.start) / Math.max(1, this.element.clientWidth);
+    }
+
+    /* The time on the timeline at a horizontal position in the window */
+    timeAt(x) {
+        const offset = x - this.element.getBoundingClientRect().left;
+        return JulianDate.addSeconds(this.start, offset * this.secondsPerPixel(), new JulianDate());
+    }
+
+    destroy() {
+        this.container.removeEventListener("setzoom", this._zoom);
+        this.container.removeChild(this.element);
+        this.ranges = [ ];
+    }
+};
+
+export class TimelineRange {
+    constructor(overlay, color, height, base) {
+        this.overlay = overlay;
+        this.start = null;
+        this.stop = null;
+        this.show = true;
+
+        /* Called with the seconds a range was dragged, ranges without it can't be */
+        this.onMove = null;
+
+        const element = document.createElement("span");
+        element.className = "timeline-range";
+        element.style.backgroundColor = color;
+        element.style.height = height + "px";
+        element.style.bottom = base + "px";
+        overlay.element.appendChild(element);
+        this.element = element;
+
+        element.addEventListener("pointerdown", (ev) => this.drag(ev));
+    }
+
+    setRange(start, stop) {
+        this.start = start ? start.clone() : null;
+        this.stop = stop ? stop.clone() : null;
+        this.render();
+    }
+
+    setShow(show) {
+        this.show = !!show;
+        this.render();
+    }
+
+    /* Position the range, moved by seconds while it's dragged */
+    render(seconds) {
+        const overlay = this.overlay;
+        const element = this.element;
+        element.classList.toggle("draggable", !!this.onMove);
+        if (!this.show || !this.start || !this.stop || !overlay.start) {
+            element.style.display = "none";
+            return;
+        }
+
+        const span = JulianDate.secondsDifference(overlay.stop, overlay.start);
+        const left = (JulianDate.secondsDifference(this.start, overlay.start) + (seconds || 0)) / span;
+        const right = (JulianDate.secondsDifference(this.stop, overlay.start) + (seconds || 0)) / span;
+        if (right <= 0 || left >= 1) {
+            element.style.display = "none";
+            return;
+        }
+
+        element.style.display = "block";
+        element.style.left = (Math.max(0, left) * 100) + "%";
+        element.style.width = ((Math.min(1, right) - Math.max(0, left)) * 100) + "%";
+    }
+
+    /*
+     * The seconds to move the range by, snapped so that its start
+     * or stop lines up with one of the times when that's close.
+     */
+    snap(seconds, times, perPixel) {
+        let best = seconds;
+        let least = SNAP_PIXELS * perPixel;
+        times.forEach((time) => [ this.start, this.stop ].forEach(function(edge) {
+            const shift = JulianDate.secondsDifference(time, edge);
+            if (Math.abs(shift - seconds) <= least) {
+                least = Math.abs(shift - seconds);
+                best = shift;
+            }
+        }));
+        return best;
+    }
+
+    drag(ev) {
+        if (!this.onMove || !this.start || ev.button)
+            return;
+
+        const overlay = this.overlay;
+        const element = this.element;
+        const perPixel = overlay.secondsPerPixel();
+        const times = overlay.snapTimes().filter((time) =>
+            !JulianDate.equals(time, this.start) && !JulianDate.equals(time, this.stop));
+        const x = ev.clientX;
+        let dragging = false;
+        let seconds = 0;
+
+        const move = (ev) => {
+            const dx = ev.clientX - x;
+            if (!dragging && Math.abs(dx) < DRAG_PIXELS)
+                return;
+            dragging = true;
+            seconds = this.snap(dx * perPixel, times, perPixel);
+            this.render(seconds);
+        };
+
+        /* A click rather than a drag moves the clock there, as on the timeline */
+        const up = (ev) => {
+            element.removeEventListener("pointermove", move);
+            element.removeEventListener("pointerup", up);
+            if (!dragging) {
+                overlay.clock.currentTime = overlay.timeAt(ev.clientX);
+            } else {
+                this.render();
+                if (seconds)
+                    this.onMove(seconds);
+            }
+        };
+
+        element.setPointerCapture(ev.pointerId);
+        element.addEventListener("pointermove", move);
+        element.addEventListener("pointerup", up);
+        ev.preventDefault();
+        ev.stopPropagation();
+    }
+
+    destroy() {
+        const ranges = this.overlay.ranges;
+        const index = ranges.indexOf(this);
+        if (index >= 0)
+            ranges.splice(index, 1);
+        if (this.element.parentNode)
+            this.element.parentNode.removeChild(this.element);
+        this.onMove = null;
+    }
+};
@@ -0,0 +1,76 @@
+import { expect, test } from 'vitest';
+import { Clock, JulianDate } from 'cesium';
+
+import { SNAP_PIXELS, TimelineOverlay } from './timeline';
+
+/* Just the public parts of a Cesium Timeline that the overlay uses */
+function makeTimeline() {
+    const container = document.createElement("div");
+    container.style.width = "1000px";
+    document.body.appendChild(container);
+    const clock = new Clock({
+        startTime: JulianDate.fromIso8601("2024-12-31T12:00:00Z"),
+        stopTime: JulianDate.fromIso8601("2024-12-31T13:00:00Z"),
+    });
+    return { timeline: { container: container }, clock: clock };
+}
+
+function zoom(container, start, stop) {
+    const ev = new Event("setzoom", { bubbles: true });
+    ev.startJulian = JulianDate.fromIso8601(start);
+    ev.endJulian = JulianDate.fromIso8601(stop);
+    container.dispatchEvent(ev);
+}
+
+test('TimelineOverlay', function() {
+    const { timeline, clock } = makeTimeline();
+    const overlay = new TimelineOverlay(timeline, clock);
+    expect(overlay.element.parentNode).toBe(timeline.container);
+
+    const range = overlay.addRange("#ff0000", 3, 5);
+    range.setRange(JulianDate.fromIso8601("2024-12-31T12:15:00Z"), JulianDate.fromIso8601("2024-12-31T12:30:00Z"));
+    expect(range.element.style.display).toBe("block");
+    expect(parseFloat(range.element.style.left)).toBeCloseTo(25);
+    expect(parseFloat(range.element.style.width)).toBeCloseTo(25);
+    expect(range.element.style.bottom).toBe("5px");
+
+    /* Follows the timeline zooming */
+    zoom(timeline.container, "2024-12-31T12:20:00Z", "2024-12-31T12:40:00Z");
+    expect(parseFloat(range.element.style.left)).toBeCloseTo(0);
+    expect(parseFloat(range.element.style.width)).toBeCloseTo(50);
+
+    /* Hidden with its pilot */
+    range.setShow(false);
+    expect(range.element.style.display).toBe("none");
+    range.setShow(true);
+    expect(range.element.style.display).toBe("block");
+
+    zoom(timeline.container, "2024-12-31T12:40:00Z", "2024-12-31T13:00:00Z");
+    expect(range.element.style.display).toBe("none");
+
+    range.destroy();
+    expect(range.element.parentNode).toBe(null);
+    expect(overlay.ranges.length).toBe(0);
+
+    overlay.destroy();
+    expect(overlay.element.parentNode).toBe(null);
+});
+
+test('TimelineRange.snap', function() {
+    const { timeline, clock } = makeTimeline();
+    const overlay = new TimelineOverlay(timeline, clock);
+    const range = overlay.addRange("#ff0000", 3, 0);
+    range.setRange(JulianDate.fromIso8601("2024-12-31T12:15:00Z"), JulianDate.fromIso8601("2024-12-31T12:30:00Z"));
+
+    /* Stop snaps to a time 3 seconds past a move of 100 seconds, at one second a pixel */
+    const times = [ JulianDate.fromIso8601("2024-12-31T12:31:43Z") ];
+    expect(range.snap(100, times, 1)).toBe(103);
+    expect(range.snap(100 - SNAP_PIXELS * 2, times, 1)).toBe(100 - SNAP_PIXELS * 2);
+
+    /* Not draggable without onMove */
+    expect(range.element.classList.contains("draggable")).toBe(false);
+    range.onMove = () => {};
+    range.render();
+    expect(range.element.classList.contains("draggable")).toBe(true);
+    overlay.destroy();
+});
@@ -0,0 +1,67 @@
+"use strict";
+
+import { cartesian } from "./geo.js";
+
+/* Number of fixes the camera tracker position is averaged over */
+export const TRACKER_WINDOW = 128;
+
+/*
+ * The height and earth centered position of each fix, given a
+ * function from fix to height, as from altitudeModel(). Positions
+ * are x, y, z triples in a Float64Array so they can be transferred
+ * from a worker.
+ */
+export function trackPositions(fixes, altitudeOf) {
+    const heights = new Float64Array(fixes.length);
+    const positions = new Float64Array(fixes.length * 3);
+
+    for (let i = 0; i < fixes.length; i++) {
+        const fix = fixes[i];
+        heights[i] = altitudeOf(fix);
+        positions.set(cartesian(fix.latitude, fix.longitude, heights[i]), i * 3);
+    }
+
+    return { heights: heights, positions: positions };
+}
+
+/*
+ * A smoothed path for the camera to follow, so it doesn't swing
+ * around with every turn. Each sample is the average position of
+ * the window around a fix. Returns the fix index of each sample
+ * and their positions as x, y, z triples.
+ */
+export function trackerPositions(positions) {
+    const count = positions.length / 3;
+    const indexes = [ ];
+    const result = [ ];
+    const stack = [ ];
+    const sum = [ 0, 0, 0 ];
+
+    function update(drain) {
+        if (drain || stack.length >= TRACKER_WINDOW) {
+            const bottom = stack.shift();
+            for (let k = 0; k < 3; k++)
+                sum[k] -= positions[bottom * 3 + k];
+        }
+
+        if ((drain && stack.length) || stack.length > TRACKER_WINDOW / 2) {
+            const index = Math.max(0, stack.length - TRACKER_WINDOW / 2);
+            indexes.push(stack[index]);
+            for (let k = 0; k < 3; k++)
+                result.push(sum[k] / stack.length);
+        }
+    }
+
+    for (let i = 0; i < count; i++) {
+        stack.push(i);
+        for (let k = 0; k < 3; k++)
+            sum[k] += positions[i * 3 + k];
+        update(false);
+    }
+
+    /* Update the remaining average position of the tracker */
+    while (stack.length > 0)
+        update(true);
+
+    return { indexes: Int32Array.from(indexes), positions: Float64Array.from(result) };
+}
@@ -0,0 +1,33 @@
+import { expect, test } from 'vitest';
+
+import { makeFixes } from './fixtures';
+import { cartesian } from './geo';
+import * as track from './track';
+
+test('trackPositions', function() {
+    const fixes = makeFixes(3, (i) => 1000 + i);
+    const result = track.trackPositions(fixes, (fix) => fix.gpsAltitude + 50);
+    expect(Array.from(result.heights)).toEqual([ 1050, 1051, 1052 ]);
+    expect(result.positions.length).toBe(9);
+    expect(Array.from(result.positions.slice(3, 6))).toEqual(cartesian(46.0001, 7, 1051));
+});
+
+test('trackerPositions', function() {
+    expect(track.trackerPositions(new Float64Array(0)).indexes.length).toBe(0);
+
+    /* Points along the x axis, one meter apart */
+    const count = 300;
+    const positions = new Float64Array(count * 3);
+    for (let i = 0; i < count; i++)
+        positions[i * 3] = i;
+
+    const result = track.trackerPositions(positions);
+    expect(result.positions.length).toBe(result.indexes.length * 3);
+
+    /* Indexes go forward, and the average is centered on them once the window is full */
+    for (let i = 1; i < result.indexes.length; i++)
+        expect(result.indexes[i]).toBeGreaterThanOrEqual(result.indexes[i - 1]);
+    const middle = result.indexes.indexOf(150);
+    expect(result.positions[middle * 3]).toBeCloseTo(150, 5);
+    expect(result.positions[middle * 3 + 1]).toBe(0);
+});
@@ -51,6 +51,40 @@ export function parseTimestamp(timestamp) {
     return undefined;
 }
 
+/*
+ * Move a timestamp by seconds. Numbers stay milliseconds, other
+ * timestamps come back in ISO 8601, and what doesn't parse as it was.
+ */
+export function shiftTimestamp(timestamp, seconds) {
+    if (typeof timestamp == 'number')
+        return timestamp + seconds * 1000;
+    const date = parseTimestamp(timestamp);
+    if (!date)
+        return timestamp;
+    return JulianDate.toIso8601(JulianDate.addSeconds(date, seconds, new JulianDate()));
+}
+
+/*
+ * Move a flight by seconds: the fixes of its log, the thermals and
+ * integrity problems found in it, and the takeoff and landing
+ * overrides from the timeline.json, which are absolute times.
+ */
+export function retimeFlight(flight, seconds) {
+    const shift = seconds * 1000;
+    flight.fixes.forEach((fix) => fix.timestamp += shift);
+    (flight.thermals || [ ]).forEach(function(thermal) {
+        thermal.start += shift;
+        thermal.stop += shift;
+    });
+    (flight.problems || [ ]).forEach((problem) => problem.timestamp += shift);
+
+    const options = flight.options || { };
+    [ "takeoff", "landing" ].forEach(function(name) {
+        if (options[name])
+            options[name] = shiftTimestamp(options[name], seconds);
+    });
+}
+
 /* Returns the timezone offset in Seconds */
 export function parseTimezone(timestamp) {
     if (typeof timestamp == 'number')
@@ -95,6 +129,8 @@ export function guessMimeType(filename, kind) {
     const lcase = filename.toLowerCase();
     if (lcase.endsWith(".igc"))
 	return "application/x-igc";
+    else if (lcase.endsWith(".gpx"))
+	return "application/gpx+xml";
     else if (lcase.endsWith(".jpeg") || lcase.endsWith(".jpg"))
 	return "image/jpeg";
     else if (lcase.endsWith(".png"))
@@ -132,6 +132,34 @@ test('parseTimestamp', function() {
     console.warn = old;
 });
 
+test('shiftTimestamp', function() {
+    expect(util.shiftTimestamp(1735649255000, 10)).toBe(1735649265000);
+    expect(util.shiftTimestamp('2024-12-31T12:47:35Z', -35)).toBe('2024-12-31T12:47:00Z');
+    expect(util.shiftTimestamp('2024-12-31T13:47:35+01:00', 25)).toBe('2024-12-31T12:48:00Z');
+});
+
+test('retimeFlight', function() {
+    const flight = {
+        fixes: [ { timestamp: 1000 }, { timestamp: 2000 } ],
+        thermals: [ { start: 1000, stop: 2000 } ],
+        problems: [ { timestamp: 2000 } ],
+        options: { takeoff: '2024-12-31T12:47:35Z', landing: '2024-12-31T13:00:00Z' },
+    };
+    util.retimeFlight(flight, 60);
+    expect(flight.fixes.map((fix) => fix.timestamp)).toEqual([ 61000, 62000 ]);
+    expect(flight.thermals).toEqual([ { start: 61000, stop: 62000 } ]);
+    expect(flight.problems).toEqual([ { timestamp: 62000 } ]);
+
+    /* The overrides are absolute times and move along */
+    expect(flight.options).toEqual({ takeoff: '2024-12-31T12:48:35Z', landing: '2024-12-31T13:01:00Z' });
+
+    /* Back to where it was, without overrides to move */
+    util.retimeFlight(flight, -60);
+    util.retimeFlight({ fixes: flight.fixes }, 0);
+    expect(flight.fixes.map((fix) => fix.timestamp)).toEqual([ 1000, 2000 ]);
+    expect(flight.options.takeoff).toBe('2024-12-31T12:47:35Z');
+});
+
 test('parseTimezone', function() {
     const old = console.warn;
     console.warn = function() { }
@@ -186,6 +214,8 @@ test('guessMimeType', function() {
     expect(util.guessMimeType('test.igc', null)).toBe("application/x-igc");
     expect(util.guessMimeType('test.igc')).toBe('application/x-igc');
     expect(util.guessMimeType('test.IGC')).toBe('application/x-igc');
+    expect(util.guessMimeType('test.gpx')).toBe('application/gpx+xml');
+    expect(util.guessMimeType('test.GPX')).toBe('application/gpx+xml');
     expect(util.guessMimeType('test.mp4')).toBe('video/mp4');
     expect(util.guessMimeType('test.MP4')).toBe('video/mp4');
     expect(util.guessMimeType('test.mov')).toBe('video/quicktime');
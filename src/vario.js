@@ -0,0 +1,74 @@
+"use strict";
+
+/*
+ * The colour ramp for vertical speed in m/s, from strong sink
+ * in dark blue, through white for zero, to strong climb in red.
+ */
+export const VARIO_RAMP = [
+    [ -5.0, "#1f3a93" ],
+    [ -2.0, "#3498db" ],
+    [ 0.0, "#ecf0f1" ],
+    [ 1.0, "#2ecc71" ],
+    [ 2.5, "#F1C40F" ],
+    [ 5.0, "#E74C3C" ],
+];
+
+function parseHex(hex) {
+    return [ 1, 3, 5 ].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+}
+
+const STOPS = VARIO_RAMP.map(([ rate, hex ]) => [ rate, parseHex(hex) ]);
+
+/*
+ * Returns the [ red, green, blue ] colour with components from
+ * 0 to 1 for a vertical speed in m/s, interpolated along the ramp.
+ */
+export function varioColor(rate) {
+    if (!(rate > STOPS[0][0]))
+        return STOPS[0][1].slice();
+
+    for (let i = 1; i < STOPS.length; i++) {
+        const [ upper, high ] = STOPS[i];
+        if (rate <= upper) {
+            const [ lower, low ] = STOPS[i - 1];
+            const alpha = (rate - lower) / (upper - lower);
+            return low.map((value, j) => value + (high[j] - value) * alpha);
+        }
+    }
+
+    return STOPS[STOPS.length - 1][1].slice();
+}
+
+/* A CSS gradient from sink to climb for drawing a legend */
+export function varioGradient(direction) {
+    const first = VARIO_RAMP[0][0];
+    const span = VARIO_RAMP[VARIO_RAMP.length - 1][0] - first;
+    const stops = VARIO_RAMP.map(([ rate, hex ]) =>
+        hex + " " + ((rate - first) * 100 / span).toFixed(0) + "%");
+    return "linear-gradient(" + (direction || "to right") + ", " + stops.join(", ") + ")";
+}
+
+/*
+ * The segments of a vario coloured track to show at a time, like a
+ * path that's drawn up to the time and only trails behind it for some
+ * seconds when trailing is set. Where times are the ascending ends
+ * of the segments, returns the range [ first, last ) of segments.
+ */
+export function varioSpan(times, now, trailing) {
+    function count(time) {
+        let low = 0;
+        let high = times.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (times[middle] <= time)
+                low = middle + 1;
+            else
+                high = middle;
+        }
+        return low;
+    }
+
+    const last = count(now);
+    const first = trailing ? Math.min(last, count(now - trailing * 1000 - 1)) : 0;
+    return [ first, last ];
+}
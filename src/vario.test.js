@@ -0,0 +1,51 @@
+import { expect, test } from 'vitest';
+
+import { VARIO_RAMP, varioColor, varioGradient, varioSpan } from './vario';
+
+test('varioColor', function() {
+    /* White at zero */
+    const zero = varioColor(0);
+    expect(zero[0]).toBeCloseTo(0xec / 255);
+    expect(zero[1]).toBeCloseTo(0xf0 / 255);
+    expect(zero[2]).toBeCloseTo(0xf1 / 255);
+
+    /* Clamped at the ends of the ramp */
+    expect(varioColor(-20)).toStrictEqual(varioColor(-5));
+    expect(varioColor(20)).toStrictEqual(varioColor(5));
+    expect(varioColor(NaN)).toStrictEqual(varioColor(-5));
+
+    /* Interpolated between the stops */
+    const half = varioColor(0.5);
+    const climb = varioColor(1);
+    for (let i = 0; i < 3; i++)
+        expect(half[i]).toBeCloseTo((zero[i] + climb[i]) / 2);
+
+    /* Climbing is redder than sinking */
+    expect(varioColor(4)[0]).toBeGreaterThan(varioColor(-4)[0]);
+    expect(varioColor(-4)[2]).toBeGreaterThan(varioColor(4)[2]);
+
+    /* Doesn't hand out the same array twice */
+    expect(varioColor(20)).not.toBe(varioColor(20));
+});
+
+test('varioGradient', function() {
+    const gradient = varioGradient();
+    expect(gradient).toMatch(/^linear-gradient\(to right, /);
+    expect(gradient).toMatch(VARIO_RAMP[0][1] + " 0%");
+    expect(gradient).toMatch(VARIO_RAMP[2][1] + " 50%");
+    expect(gradient).toMatch(VARIO_RAMP[5][1] + " 100%");
+    expect(varioGradient("to top")).toMatch(/^linear-gradient\(to top, /);
+});
+
+test('varioSpan', function() {
+    const times = [ 1000, 2000, 3000, 4000 ];
+    expect(varioSpan(times, 500)).toEqual([ 0, 0 ]);
+    expect(varioSpan(times, 2000)).toEqual([ 0, 2 ]);
+    expect(varioSpan(times, 2500)).toEqual([ 0, 2 ]);
+    expect(varioSpan(times, 9000)).toEqual([ 0, 4 ]);
+
+    /* Only the trail behind the time */
+    expect(varioSpan(times, 3500, 2)).toEqual([ 1, 3 ]);
+    expect(varioSpan(times, 4000, 2)).toEqual([ 1, 4 ]);
+    expect(varioSpan(times, 9000, 2)).toEqual([ 4, 4 ]);
+});
@@ -0,0 +1,108 @@
+"use strict";
+
+/*
+ * A pool of web workers for running tasks in parallel. A task
+ * has a worker to itself until it's done, so it can exchange
+ * several messages with it. Workers reply to each message with
+ * the same id, and either a result or an error:
+ *
+ *     self.onmessage = function(ev) {
+ *         self.postMessage({ id: ev.data.id, result: ... });
+ *     };
+ *
+ * A worker that throws or sends what can't be read is replaced, and
+ * whatever it was asked fails.
+ */
+export class WorkerPool {
+    constructor(create, size) {
+        this.create = create;
+        this.size = Math.max(1, size || 1);
+        this.workers = [ ];
+        this.idle = [ ];
+        this.waiting = [ ];
+        this.requests = { };
+        this.sequence = 0;
+    }
+
+    /*
+     * Run a task with a worker. The task is called with a send(message,
+     * transfer) function that resolves to the result of the message.
+     */
+    async run(task) {
+        const worker = await this.acquire();
+        try {
+            return await task((message, transfer) => this.send(worker, message, transfer));
+        } finally {
+            this.release(worker);
+        }
+    }
+
+    send(worker, message, transfer) {
+        if (!this.workers.includes(worker))
+            return Promise.reject(new Error("Worker failed"));
+        const id = ++this.sequence;
+        return new Promise((resolve, reject) => {
+            this.requests[id] = { resolve: resolve, reject: reject, worker: worker };
+            worker.postMessage(Object.assign({ }, message, { id: id }), transfer || [ ]);
+        });
+    }
+
+    receive(data) {
+        const request = this.requests[data.id];
+        if (!request)
+            return;
+        delete this.requests[data.id];
+        if ("error" in data)
+            request.reject(new Error(data.error));
+        else
+            request.resolve(data.result);
+    }
+
+    /* Give up on a worker, failing all that it was asked */
+    fail(worker, message) {
+        console.warn(message);
+        worker.terminate();
+        this.workers = this.workers.filter((other) => other != worker);
+        this.idle = this.idle.filter((other) => other != worker);
+        for (const id of Object.keys(this.requests)) {
+            const request = this.requests[id];
+            if (request.worker == worker) {
+                delete this.requests[id];
+                request.reject(new Error(message));
+            }
+        }
+    }
+
+    spawn() {
+        const worker = this.create();
+        worker.onmessage = (ev) => this.receive(ev.data);
+        worker.onerror = (ev) => this.fail(worker, "Worker failed: " + (ev.message || "Unknown error"));
+        worker.onmessageerror = () => this.fail(worker, "Couldn't read the reply of a worker");
+        this.workers.push(worker);
+        return worker;
+    }
+
+    acquire() {
+        if (this.idle.length)
+            return Promise.resolve(this.idle.pop());
+
+        if (this.workers.length < this.size)
+            return Promise.resolve(this.spawn());
+
+        return new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    release(worker) {
+        /* One that failed is replaced for a task that's waiting */
+        if (!this.workers.includes(worker)) {
+            if (this.waiting.length)
+                this.waiting.shift()(this.spawn());
+            return;
+        }
+
+        if (this.waiting.length)
+            this.waiting.shift()(worker);
+        else
+            this.idle.push(worker);
+    }
+};
@@ -0,0 +1,91 @@
+import { expect, test } from 'vitest';
+
+import { WorkerPool } from './workerpool';
+
+/* Pretends to be a worker, replying to each message with its value doubled */
+class FakeWorker {
+    constructor() {
+        this.onmessage = null;
+        this.onerror = null;
+        this.received = [ ];
+        this.terminated = false;
+    }
+
+    postMessage(data) {
+        this.received.push(data);
+        setTimeout(() => {
+            if (this.terminated)
+                return;
+            if (data.crash)
+                this.onerror({ message: "Crashed " + data.value });
+            else if (data.fail)
+                this.onmessage({ data: { id: data.id, error: "Failed " + data.value } });
+            else
+                this.onmessage({ data: { id: data.id, result: data.value * 2 } });
+        }, 1);
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+test('run', async function() {
+    const workers = [ ];
+    const pool = new WorkerPool(function() {
+        const worker = new FakeWorker();
+        workers.push(worker);
+        return worker;
+    }, 2);
+
+    let running = 0;
+    let most = 0;
+    const results = await Promise.all([ 1, 2, 3, 4, 5 ].map((value) => pool.run(async function(send) {
+        most = Math.max(most, ++running);
+        const first = await send({ value: value });
+        const second = await send({ value: first });
+        running--;
+        return second;
+    })));
+
+    expect(results).toEqual([ 4, 8, 12, 16, 20 ]);
+    expect(workers.length).toBe(2);
+    expect(most).toBe(2);
+
+    /* Both messages of a task go to the same worker */
+    workers.forEach(function(worker) {
+        for (let i = 0; i < worker.received.length; i += 2)
+            expect(worker.received[i + 1].value).toBe(worker.received[i].value * 2);
+    });
+});
+
+test('run.error', async function() {
+    const pool = new WorkerPool(() => new FakeWorker(), 1);
+    await expect(pool.run((send) => send({ value: 1, fail: true }))).rejects.toThrow("Failed 1");
+
+    /* The worker is available again afterwards */
+    expect(await pool.run((send) => send({ value: 3 }))).toBe(6);
+});
+
+test('run.crash', async function() {
+    const workers = [ ];
+    const pool = new WorkerPool(function() {
+        const worker = new FakeWorker();
+        workers.push(worker);
+        return worker;
+    }, 1);
+
+    /* A worker that throws fails its task, and the one waiting gets a new worker */
+    const old = console.warn;
+    console.warn = function() { };
+    const crashed = pool.run((send) => send({ value: 1, crash: true }));
+    const waiting = pool.run((send) => send({ value: 2 }));
+    await expect(crashed).rejects.toThrow("Crashed 1");
+    expect(await waiting).toBe(4);
+    console.warn = old;
+
+    expect(workers.length).toBe(2);
+    expect(workers[0].terminated).toBe(true);
+    expect(pool.workers).toEqual([ workers[1] ]);
+    expect(pool.requests).toEqual({ });
+});
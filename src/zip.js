@@ -0,0 +1,206 @@
+"use strict";
+
+/*
+ * Just enough of the ZIP format to bundle files together. Files
+ * are stored without compression, which is fine for the already
+ * compressed media and small documents that we put in them. When
+ * reading, deflated files are supported too, but not ZIP64, so
+ * archives are limited to 4 GiB and 65535 files.
+ */
+
+const MAX_SIZE = 0xFFFFFFFF;
+const MAX_ENTRIES = 0xFFFF;
+
+let CRC_TABLE = null;
+
+/* The CRC-32 of data, or of more data after the previous CRC */
+export function crc32(data, previous) {
+    if (!CRC_TABLE) {
+        CRC_TABLE = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++)
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            CRC_TABLE[n] = c >>> 0;
+        }
+    }
+
+    let crc = (previous || 0) ^ 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++)
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/* The date and time in MS-DOS format as used in ZIP headers */
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return [ time, day ];
+}
+
+/* The local and central directory headers of a stored file */
+function headers(name, crc, size, offset, date) {
+    const [ time, day ] = dosDateTime(date);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true); /* Version needed */
+    local.setUint16(6, 0x0800, true); /* UTF-8 names */
+    local.setUint16(8, 0, true); /* Stored */
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true);
+    local.setUint32(22, size, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true); /* Version made by */
+    central.setUint16(6, 20, true); /* Version needed */
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, size, true);
+    central.setUint32(24, size, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    return [ new Uint8Array(local.buffer), new Uint8Array(central.buffer) ];
+}
+
+/* The end of central directory record */
+function ending(count, size, offset) {
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, count, true);
+    end.setUint16(10, count, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, offset, true);
+    return new Uint8Array(end.buffer);
+}
+
+/* The CRC-32 of a Blob, read a bit at a time */
+async function blobCrc32(blob) {
+    const reader = blob.stream().getReader();
+    let crc = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done)
+            return crc;
+        crc = crc32(value, crc);
+    }
+}
+
+/*
+ * Create a ZIP archive from entries with a name and data that is a
+ * string, a Uint8Array or a Blob like a File. Resolves to a Blob made
+ * of the data as it is, so big videos aren't read into memory but to
+ * work out their CRC. Fails before reading anything when the archive
+ * would be too big.
+ */
+export async function createZipBlob(entries, date) {
+    const encoder = new TextEncoder();
+    const files = entries.map(function(entry) {
+        const name = encoder.encode(entry.name);
+        const data = typeof entry.data == "string" ? encoder.encode(entry.data) : entry.data;
+        return { name: name, data: data, size: data instanceof Blob ? data.size : data.length };
+    });
+
+    const total = files.reduce((total, file) => total + 76 + 2 * file.name.length + file.size, 22);
+    if (files.length > MAX_ENTRIES)
+        throw new Error("Too many files for a ZIP archive: " + files.length + ", at most " + MAX_ENTRIES);
+    if (total > MAX_SIZE)
+        throw new Error("Too big for a ZIP archive: " + Math.ceil(total / 0x100000) + " MiB, at most 4 GiB");
+
+    date = date || new Date();
+    const locals = [ ];
+    const centrals = [ ];
+    let offset = 0;
+    for (const file of files) {
+        const crc = file.data instanceof Blob ? await blobCrc32(file.data) : crc32(file.data);
+        const [ local, central ] = headers(file.name, crc, file.size, offset, date);
+        locals.push(local, file.name, file.data);
+        centrals.push(central, file.name);
+        offset += 30 + file.name.length + file.size;
+    }
+
+    const size = centrals.reduce((total, part) => total + part.length, 0);
+    return new Blob(locals.concat(centrals, [ ending(files.length, size, offset) ]), { type: "application/zip" });
+}
+
+/*
+ * Create a ZIP archive in memory from entries as for createZipBlob(),
+ * like a KMZ. Resolves to a Uint8Array.
+ */
+export async function createZip(entries, date) {
+    const zip = await createZipBlob(entries, date);
+    return new Uint8Array(await zip.arrayBuffer());
+}
+
+/*
+ * Read the files in a ZIP archive in a Blob, from its central directory.
+ * Resolves to entries with the name and a Blob of the data, less the
+ * directories. Stored files are slices of the archive so big videos
+ * aren't copied, and deflated files are inflated.
+ */
+export async function readZip(blob) {
+    async function view(start, length) {
+        return new DataView(await blob.slice(start, start + length).arrayBuffer());
+    }
+
+    /* The end of central directory record is last, but for a comment of up to 64k */
+    const tail = Math.min(blob.size, 22 + 0xFFFF);
+    const end = await view(blob.size - tail, tail);
+    let at = tail - 22;
+    while (at >= 0 && end.getUint32(at, true) != 0x06054b50)
+        at--;
+    if (at < 0)
+        throw new Error("Not a ZIP archive");
+
+    const count = end.getUint16(at + 10, true);
+    const size = end.getUint32(at + 12, true);
+    const offset = end.getUint32(at + 16, true);
+    if (count == 0xFFFF || offset == 0xFFFFFFFF)
+        throw new Error("ZIP64 archives are not supported");
+
+    const central = await view(offset, size);
+    const decoder = new TextDecoder();
+    const files = [ ];
+    let position = 0;
+    for (let i = 0; i < count; i++) {
+        if (position + 46 > size || central.getUint32(position, true) != 0x02014b50)
+            throw new Error("Invalid ZIP central directory");
+        const length = central.getUint16(position + 28, true);
+        const name = decoder.decode(new Uint8Array(central.buffer, position + 46, length));
+        const file = {
+            name: name,
+            method: central.getUint16(position + 10, true),
+            compressed: central.getUint32(position + 20, true),
+            local: central.getUint32(position + 42, true),
+        };
+        position += 46 + length + central.getUint16(position + 30, true) + central.getUint16(position + 32, true);
+        if (!name.endsWith("/"))
+            files.push(file);
+    }
+
+    return Promise.all(files.map(async function(file) {
+        /* The local header has its own name and extra field lengths */
+        const local = await view(file.local, 30);
+        if (local.getUint32(0, true) != 0x04034b50)
+            throw new Error("Invalid ZIP entry " + file.name);
+        const start = file.local + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+        const data = blob.slice(start, start + file.compressed);
+
+        if (file.method == 0)
+            return { name: file.name, blob: data };
+        if (file.method == 8) {
+            const stream = data.stream().pipeThrough(new DecompressionStream("deflate-raw"));
+            return { name: file.name, blob: await new Response(stream).blob() };
+        }
+        throw new Error("Unsupported compression in ZIP entry " + file.name);
+    }));
+}
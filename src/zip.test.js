@@ -0,0 +1,78 @@
+import { expect, test } from 'vitest';
+
+import { crc32, createZip, createZipBlob, readZip } from './zip';
+
+test('crc32', function() {
+    const encoder = new TextEncoder();
+    expect(crc32(encoder.encode(""))).toBe(0);
+    expect(crc32(encoder.encode("hello"))).toBe(0x3610a686);
+    expect(crc32(encoder.encode("The quick brown fox jumps over the lazy dog"))).toBe(0x414fa339);
+
+    /* A bit at a time */
+    expect(crc32(encoder.encode(" the lazy dog"), crc32(encoder.encode("The quick brown fox jumps over"))))
+        .toBe(0x414fa339);
+});
+
+test('createZip', async function() {
+    const zip = await createZip([
+        { name: "doc.kml", data: "<kml/>" },
+        { name: "data.bin", data: new Uint8Array([ 1, 2, 3 ]) },
+    ], new Date(2024, 11, 31, 12, 30, 10));
+
+    const view = new DataView(zip.buffer);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(26, true)).toBe(7);
+    expect(new TextDecoder().decode(zip.slice(30, 37))).toBe("doc.kml");
+    expect(new TextDecoder().decode(zip.slice(37, 43))).toBe("<kml/>");
+
+    /* The end of central directory record */
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+
+    /* The central directory points back to the second entry */
+    const central = view.getUint32(end + 16, true);
+    expect(view.getUint32(central, true)).toBe(0x02014b50);
+    const second = central + 46 + 7;
+    expect(view.getUint32(second, true)).toBe(0x02014b50);
+    expect(view.getUint32(second + 42, true)).toBe(30 + 7 + 6);
+    expect(view.getUint32(second + 16, true)).toBe(crc32(new Uint8Array([ 1, 2, 3 ])));
+});
+
+test('createZipBlob', async function() {
+    const date = new Date(2024, 11, 31, 12, 30, 10);
+    const entries = [
+        { name: "timeline.json", data: "{}" },
+        { name: "video.mp4", data: new Blob([ new Uint8Array([ 1, 2, 3 ]) ]) },
+    ];
+    const zip = await createZipBlob(entries, date);
+    const same = await createZip([ entries[0], { name: "video.mp4", data: new Uint8Array([ 1, 2, 3 ]) } ], date);
+    expect(new Uint8Array(await zip.arrayBuffer())).toEqual(same);
+
+    /* Too big or too many for a ZIP without ZIP64, before reading anything */
+    const huge = Object.create(Blob.prototype, { size: { value: 5 * 0x40000000 } });
+    await expect(createZipBlob([ { name: "huge.mp4", data: huge } ])).rejects.toThrow("at most 4 GiB");
+    const many = Array.from({ length: 0x10000 }, (_, i) => ({ name: "file" + i, data: "" }));
+    await expect(createZipBlob(many)).rejects.toThrow("Too many files");
+});
+
+test('readZip', async function() {
+    const zip = await createZip([
+        { name: "timeline.json", data: "{}" },
+        { name: "data.bin", data: new Uint8Array([ 1, 2, 3 ]) },
+    ]);
+    const files = await readZip(new Blob([ zip ]));
+    expect(files.map((file) => file.name)).toEqual([ "timeline.json", "data.bin" ]);
+    expect(await files[0].blob.text()).toBe("{}");
+    expect(Array.from(new Uint8Array(await files[1].blob.arrayBuffer()))).toEqual([ 1, 2, 3 ]);
+
+    /* Made by another tool, with a directory, a deflated file and a comment */
+    const other = Uint8Array.from(atob("UEsDBBQAAAAAAAAAIQAAAAAAAAAAAAAAAAAEAAAAZGF5L1BLAwQUAAAAAABGe1NdrToXPxoAAAAaAAAAEQAAAGRheS90aW1lbGluZS5qc29ueyJmbGlnaHRzIjpbImZsaWdodC5pZ2MiXX1QSwMEFAAAAAgARntTXZKEApkSAAAABQEAAA4AAABkYXkvZmxpZ2h0LmlnY3PKSM3JyVdIz8lMSS1SGKEcAFBLAQIUAxQAAAAAAAAAIQAAAAAAAAAAAAAAAAAEAAAAAAAAAAAAAACAAQAAAABkYXkvUEsBAhQDFAAAAAAARntTXa06Fz8aAAAAGgAAABEAAAAAAAAAAAAAAIABIgAAAGRheS90aW1lbGluZS5qc29uUEsBAhQDFAAAAAgARntTXZKEApkSAAAABQEAAA4AAAAAAAAAAAAAAIABawAAAGRheS9mbGlnaHQuaWdjUEsFBgAAAAADAAMArQAAAKkAAAAPAEEgZGF5IG9mIGZseWluZw=="),
+        (c) => c.charCodeAt(0));
+    const day = await readZip(new Blob([ other ]));
+    expect(day.map((file) => file.name)).toEqual([ "day/timeline.json", "day/flight.igc" ]);
+    expect(await day[0].blob.text()).toBe('{"flights":["flight.igc"]}');
+    expect(await day[1].blob.text()).toBe("B" + "hello glider ".repeat(20));
+
+    await expect(readZip(new Blob([ "not a zip" ]))).rejects.toThrow("Not a ZIP archive");
+});